@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Create task files from task input and add them to this week's plan
+ *
+ * Usage: node add_task.cjs [options] <input-text>
+ *
+ * Options:
+ *   --project <name>       Project name (default: detected from --cwd)
+ *   --cwd <path>           Working directory for project detection (default: current directory)
+ *   --description <text>   Task description (default: the task summary)
+ *   --tz <timezone>        Timezone for dates (default: config, then system)
+ *
+ * Examples:
+ *   node add_task.cjs "PROJ-123 Dashboard Automations Triggers - Sensors"
+ *
+ *   node add_task.cjs "PROJ-123
+ *   Dashboard Automations Triggers - Sensors
+ *   PROJ-124 Air Quality Sensor"
+ *
+ *   node add_task.cjs --project my-project "Refactor settings page"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTaskInput } = require('./parse_task_input.cjs');
+const { generateFilename, generateDateId } = require('./generate_filename.cjs');
+const { resolveProject } = require('./get_current_project.cjs');
+const { findTaskFiles, isSameTrackingId } = require('./find_task.cjs');
+const { trackingIdKey } = require('./tracking_id.cjs');
+const { INITIAL_STATUS } = require('./task_lifecycle.cjs');
+const { getWeekInfo } = require('./get_week_info.cjs');
+const { today, formatDateTime } = require('./dates.cjs');
+const {
+  loadWorklog,
+  saveWorklog,
+  findOrCreateWeek,
+  updateWeekList,
+} = require('./worklog_document.cjs');
+const { formatMarkdown } = require('./format_worklog.cjs');
+const {
+  parseFrontmatter,
+  serializeFrontmatter,
+  setField,
+  validateFrontmatter,
+} = require('./frontmatter.cjs');
+
+const TEMPLATE_PATH = path.join(__dirname, '../assets/task_template.md');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    project: null,
+    cwd: process.cwd(),
+    description: null,
+    tz: null,
+    input: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--cwd' && i + 1 < argv.length) {
+      args.cwd = argv[++i];
+    } else if (arg === '--description' && i + 1 < argv.length) {
+      args.description = argv[++i];
+    } else if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    } else {
+      args.input.push(arg);
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Fill every {{PLACEHOLDER}} in the template. Frontmatter values are
+ * written through the frontmatter module, so they are quoted when needed
+ * (e.g. `tracking_id: '#77'`).
+ */
+function fillTemplate(template, values) {
+  const fill = (text) =>
+    text.replace(/\{\{([A-Z_]+)\}\}/g, (match, key) =>
+      key in values ? values[key] : match,
+    );
+
+  const doc = parseFrontmatter(template);
+  for (const [key, value] of Object.entries(doc.data)) {
+    if (typeof value === 'string' && fill(value) !== value) {
+      setField(doc, key, fill(value));
+    }
+  }
+  doc.body = fill(doc.body);
+
+  const content = serializeFrontmatter(doc);
+  const missing = content.match(/\{\{[A-Z_]+\}\}/g);
+  if (missing) {
+    throw new Error(
+      `Task template has unfilled placeholders: ${missing.join(', ')}`,
+    );
+  }
+
+  const { missing: missingFields } = validateFrontmatter(doc.data);
+  if (missingFields.length > 0) {
+    throw new Error(`Task has empty fields: ${missingFields.join(', ')}`);
+  }
+
+  return content;
+}
+
+/**
+ * Find an existing task with the same filename or tracking ID
+ */
+function findDuplicateTask(tasksPath, task) {
+  const searchTerm = task.isDateId ? task.filename : task.trackingId;
+
+  return findTaskFiles(tasksPath, searchTerm).find(
+    (existing) =>
+      existing.filename === task.filename ||
+      (!task.isDateId && isSameTrackingId(existing, task.trackingId)),
+  );
+}
+
+/**
+ * Create task files for every task in the input
+ */
+function addTasks(input, options = {}) {
+  const project = resolveProject(options);
+  const { config, tasksPath } = project;
+  const tasks = parseTaskInput(input, config.issueTracker || null);
+  if (tasks.length === 0) {
+    throw new Error('No tasks found in input');
+  }
+
+  const branchRule =
+    (config.repository && config.repository.featureBranchRule) ||
+    'feat/{filename}';
+  const newTasksPath = path.join(tasksPath, INITIAL_STATUS);
+
+  // Prepare every task before writing anything
+  const prepared = tasks.map((task) => {
+    const isDateId = !task.trackingId;
+    const trackingId = task.trackingId || generateDateId(today(options.tz));
+    const filename = generateFilename(task.summary, trackingId);
+
+    return {
+      trackingId,
+      summary: task.summary,
+      isDateId,
+      filename,
+      branch: branchRule.replace('{filename}', filename),
+      path: path.join(newTasksPath, `${filename}.md`),
+    };
+  });
+
+  // Refuse duplicates, both existing and within this input
+  const seen = new Set();
+  for (const task of prepared) {
+    const key = task.isDateId ? task.filename : trackingIdKey(task.trackingId);
+    if (seen.has(key)) {
+      throw new Error(`Duplicate task in input: ${key}`);
+    }
+    seen.add(key);
+
+    const duplicate = findDuplicateTask(tasksPath, task);
+    if (duplicate) {
+      throw new Error(
+        `Task ${task.trackingId} already exists: ${duplicate.path}`,
+      );
+    }
+  }
+
+  // Write task files
+  const template = fs.readFileSync(TEMPLATE_PATH, 'utf-8');
+  const created = formatDateTime(new Date(), options.tz);
+
+  fs.mkdirSync(newTasksPath, { recursive: true });
+
+  for (const task of prepared) {
+    const content = fillTemplate(template, {
+      TRACKING_ID: task.trackingId,
+      SUMMARY: task.summary,
+      STATUS: INITIAL_STATUS,
+      BRANCH_NAME: task.branch,
+      CREATED_DATETIME: created,
+      PROJECT_NAME: project.name,
+      DESCRIPTION: options.description || task.summary,
+    });
+    fs.writeFileSync(task.path, formatMarkdown(content), 'utf-8');
+  }
+
+  // Add tasks to this week's plan in the worklog
+  const weekInfo = getWeekInfo(null, { tz: options.tz });
+  const { file: worklogFile, doc } = loadWorklog(weekInfo.summaryMonth);
+  const weekSection = findOrCreateWeek(doc, weekInfo);
+  const { added } = updateWeekList(
+    weekSection,
+    'This week',
+    prepared.map((task) => `- ${task.trackingId}: ${task.summary}`),
+  );
+
+  if (added.length > 0) {
+    saveWorklog(worklogFile, doc);
+  }
+
+  return {
+    project: project.name,
+    worklogFile,
+    tasks: prepared.map((task) => ({
+      trackingId: task.trackingId,
+      summary: task.summary,
+      filename: task.filename,
+      path: task.path,
+      branch: task.branch,
+      status: INITIAL_STATUS,
+    })),
+  };
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const input = args.input.join(' ');
+
+  if (!input) {
+    console.error('Usage: node add_task.cjs [options] <input-text>');
+    console.error('');
+    console.error('Options:');
+    console.error('  --project <name>       Project name');
+    console.error('  --cwd <path>           Working directory for detection');
+    console.error('  --description <text>   Task description');
+    process.exit(1);
+  }
+
+  try {
+    const result = addTasks(input, args);
+    console.log(
+      JSON.stringify(
+        {
+          success: true,
+          message: `Created ${result.tasks.length} task(s) in ${result.project}`,
+          ...result,
+        },
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    console.error(
+      JSON.stringify(
+        {
+          success: false,
+          error: error.message,
+        },
+        null,
+        2,
+      ),
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = { addTasks, fillTemplate };
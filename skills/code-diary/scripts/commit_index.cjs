@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Index of commits already logged by log_commits.cjs
+ *
+ * Stored next to the worklogs as `logs/.commits.json`, keyed by commit SHA:
+ *
+ *   {
+ *     "version": 1,
+ *     "commits": {
+ *       "<sha>": {
+ *         "repo": "/path/to/repo",
+ *         "time": 1792344986,
+ *         "date": "2026-10-18",
+ *         "entries": [{ "trackingId": "PROJ-123", "item": "Add login form" }]
+ *       }
+ *     }
+ *   }
+ *
+ * `time` is the committer timestamp (what `git log --since/--until` filter
+ * on) and `date` the worklog day the commit was logged under.
+ *
+ * Usage: node commit_index.cjs [--date <YYYY-MM-DD>] [--repo <path>]
+ * Output: JSON object of indexed commits
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getWorklogsPath } = require('./config.cjs');
+const { parseDate } = require('./dates.cjs');
+
+const INDEX_VERSION = 1;
+
+/**
+ * Get the commit index file path
+ */
+function getCommitIndexFile() {
+  return path.join(getWorklogsPath(), 'logs', '.commits.json');
+}
+
+/**
+ * Load the commit index, or an empty one if it doesn't exist yet
+ */
+function loadCommitIndex() {
+  const file = getCommitIndexFile();
+  if (!fs.existsSync(file)) {
+    return { version: INDEX_VERSION, commits: {} };
+  }
+
+  try {
+    const index = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return { version: INDEX_VERSION, commits: {}, ...index };
+  } catch (error) {
+    throw new Error(
+      `Failed to parse commit index at ${file}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Write the commit index
+ */
+function saveCommitIndex(index) {
+  const file = getCommitIndexFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(index, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * List indexed commits of a repository whose commit time is within
+ * [after, before] (unix seconds, either bound optional)
+ */
+function findIndexedCommits(index, repo, after = null, before = null) {
+  return Object.entries(index.commits)
+    .filter(
+      ([, record]) =>
+        record.repo === repo &&
+        (after === null || record.time >= after) &&
+        (before === null || record.time <= before),
+    )
+    .map(([sha, record]) => ({ sha, ...record }));
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let date = null;
+  let repo = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--date' && i + 1 < args.length) {
+      date = args[++i];
+    } else if (args[i] === '--repo' && i + 1 < args.length) {
+      repo = path.resolve(args[++i]);
+    }
+  }
+
+  try {
+    const index = loadCommitIndex();
+    const day = date ? parseDate(date) : null;
+    const commits = Object.fromEntries(
+      Object.entries(index.commits).filter(
+        ([, record]) =>
+          (!day || record.date === day) && (!repo || record.repo === repo),
+      ),
+    );
+    console.log(JSON.stringify(commits, null, 2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  getCommitIndexFile,
+  loadCommitIndex,
+  saveCommitIndex,
+  findIndexedCommits,
+};
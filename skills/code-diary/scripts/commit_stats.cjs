@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * Diff stats for logged commits: files and lines changed, and the areas of
+ * the codebase they touched
+ *
+ * A file's area is its package (`packages/ui`) when it lives under one of
+ * the package roots, else its top-level directory (`api`), or `.` for files
+ * at the repository root. Package roots default to `packages/*`, `apps/*`,
+ * `libs/*` and `services/*`, and can be set per project with
+ * `repository.commits.packages` in project.json.
+ *
+ * log_commits.cjs stores each commit's stats in the commit index, so the
+ * footprint of a date range can be read back without git.
+ *
+ * Usage: node commit_stats.cjs [--since <YYYY-MM-DD>] [--until <YYYY-MM-DD>]
+ * Output: JSON array of days with the commits and lines changed per area
+ *
+ * Examples:
+ *   node commit_stats.cjs --since 2026-10-12 --until 2026-10-18
+ */
+
+const { loadCommitIndex } = require('./commit_index.cjs');
+const { parseDate } = require('./dates.cjs');
+
+const DEFAULT_PACKAGES = ['packages/*', 'apps/*', 'libs/*', 'services/*'];
+
+/**
+ * Parse `git log --numstat` lines into [{ path, added, deleted }].
+ * Binary files count as 0 lines; renames use the new path.
+ */
+function parseNumstat(text) {
+  const files = [];
+
+  for (const line of text.split('\n')) {
+    const match = line.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+    if (!match) {
+      continue;
+    }
+
+    const file = match[3]
+      .replace(/\{[^{}]* => ([^{}]*)\}/g, '$1')
+      .replace(/^.* => /, '')
+      .replace(/\/{2,}/g, '/');
+    files.push({
+      path: file,
+      added: match[1] === '-' ? 0 : Number(match[1]),
+      deleted: match[2] === '-' ? 0 : Number(match[2]),
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Get the area of a file path: its package under a package root
+ * (`packages/*`), its top-level directory, or `.` at the root
+ */
+function getArea(file, packages = DEFAULT_PACKAGES) {
+  const parts = file.split('/');
+  if (parts.length === 1) {
+    return '.';
+  }
+
+  for (const root of packages) {
+    const prefix = root.replace(/\/\*$/, '').split('/');
+    if (
+      parts.length > prefix.length + 1 &&
+      prefix.every((part, i) => parts[i] === part)
+    ) {
+      return parts.slice(0, prefix.length + 1).join('/');
+    }
+  }
+
+  return parts[0];
+}
+
+/**
+ * Summarize a commit's files into { files, added, deleted, area, areas }.
+ * `areas` maps each area to its changed lines; `area` is the one with the
+ * most changed lines.
+ */
+function getCommitStats(files, packages = DEFAULT_PACKAGES) {
+  const areas = {};
+  let added = 0;
+  let deleted = 0;
+
+  for (const file of files) {
+    const area = getArea(file.path, packages);
+    areas[area] = (areas[area] || 0) + file.added + file.deleted;
+    added += file.added;
+    deleted += file.deleted;
+  }
+
+  const area =
+    Object.keys(areas).sort(
+      (a, b) => areas[b] - areas[a] || a.localeCompare(b),
+    )[0] || null;
+
+  return { files: files.length, added, deleted, area, areas };
+}
+
+/**
+ * Format stats as a work item suffix, e.g. "3 files, +40/-12"
+ */
+function formatStats(stats) {
+  const files = `${stats.files} file${stats.files === 1 ? '' : 's'}`;
+  return `${files}, +${stats.added}/-${stats.deleted}`;
+}
+
+/**
+ * Get the footprint of commits ({ date, stats }) per day:
+ * [{ date, areas: [{ area, commits, lines }] }], busiest areas first
+ */
+function getFootprint(commits) {
+  const days = new Map();
+
+  for (const commit of commits) {
+    if (!commit.stats) {
+      continue;
+    }
+    if (!days.has(commit.date)) {
+      days.set(commit.date, new Map());
+    }
+
+    const areas = days.get(commit.date);
+    for (const [area, lines] of Object.entries(commit.stats.areas)) {
+      const total = areas.get(area) || { area, commits: 0, lines: 0 };
+      total.commits += 1;
+      total.lines += lines;
+      areas.set(area, total);
+    }
+  }
+
+  return [...days.entries()]
+    .sort(([a], [b]) => b.localeCompare(a))
+    .map(([date, areas]) => ({
+      date,
+      areas: [...areas.values()].sort(
+        (a, b) => b.lines - a.lines || a.area.localeCompare(b.area),
+      ),
+    }));
+}
+
+/**
+ * Get the footprint of the commits in the commit index between two dates
+ * (YYYY-MM-DD, inclusive), merged over the whole range
+ */
+function getIndexedFootprint(start, end) {
+  const commits = Object.values(loadCommitIndex().commits).filter(
+    (record) => record.date >= start && record.date <= end,
+  );
+
+  const areas = new Map();
+  for (const day of getFootprint(commits)) {
+    for (const { area, commits: count, lines } of day.areas) {
+      const total = areas.get(area) || { area, commits: 0, lines: 0 };
+      total.commits += count;
+      total.lines += lines;
+      areas.set(area, total);
+    }
+  }
+
+  return [...areas.values()].sort(
+    (a, b) => b.lines - a.lines || a.area.localeCompare(b.area),
+  );
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  let since = null;
+  let until = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--since' && i + 1 < args.length) {
+      since = args[++i];
+    } else if (args[i] === '--until' && i + 1 < args.length) {
+      until = args[++i];
+    }
+  }
+
+  try {
+    const start = since ? parseDate(since) : '0000-00-00';
+    const end = until ? parseDate(until) : '9999-99-99';
+    const commits = Object.values(loadCommitIndex().commits).filter(
+      (record) => record.date >= start && record.date <= end,
+    );
+    console.log(JSON.stringify(getFootprint(commits), null, 2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_PACKAGES,
+  parseNumstat,
+  getArea,
+  getCommitStats,
+  formatStats,
+  getFootprint,
+  getIndexedFootprint,
+};
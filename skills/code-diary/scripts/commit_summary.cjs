@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+/**
+ * Summarize commits into worklog work items, Conventional Commits aware
+ *
+ * - `type(scope)!: description` is parsed for the known types (feat, fix,
+ *   refactor, perf, docs, style, test, build, ci, chore, revert); git's
+ *   `Revert "..."` counts as a revert
+ * - Merge commits, fixup!/squash!/amend! and WIP commits are dropped
+ * - Items are grouped by type (Feature, Fix, Refactor, Revert, then the
+ *   rest) and labeled, e.g. `Feature (api): Add search endpoint`
+ * - `combineSummaries` merges the commits of the same type and scope into
+ *   one work item (`Fix (auth): Handle expired tokens; Retry refresh`),
+ *   which is what log_commits.cjs writes; `groupSummaries` returns one
+ *   group per type with its items (the `--grouped` output)
+ * - Breaking changes (`!` or a `BREAKING CHANGE:` footer) are highlighted
+ * - When the description is too terse, the first line of the body is used
+ *
+ * The rules can be changed per project with `repository.commits.summary` in
+ * project.json (merged over the defaults below):
+ *
+ *   {
+ *     "groups": [{ "label": "Feature", "types": ["feat"] }, ...],
+ *     "ignoreTypes": ["chore"],
+ *     "drop": ["^fixup! ", "^Merge branch "],
+ *     "minLength": 15,
+ *     "breakingLabel": "BREAKING"
+ *   }
+ *
+ * Usage: node commit_summary.cjs [--project <name>] [--grouped] <message>...
+ * Output: JSON array of combined work items, or of { label, items } with
+ *         --grouped
+ *
+ * Examples:
+ *   node commit_summary.cjs "feat(api)!: drop v1 endpoints" "fixup! wip"
+ *   node commit_summary.cjs --grouped "feat: add search" "fix: empty results"
+ */
+
+const { findProjectConfig } = require('./get_current_project.cjs');
+
+const TYPES = [
+  'feat',
+  'fix',
+  'refactor',
+  'perf',
+  'docs',
+  'style',
+  'test',
+  'build',
+  'ci',
+  'chore',
+  'revert',
+];
+
+const DEFAULT_RULES = {
+  groups: [
+    { label: 'Feature', types: ['feat'] },
+    { label: 'Fix', types: ['fix'] },
+    { label: 'Refactor', types: ['refactor', 'perf'] },
+    { label: 'Revert', types: ['revert'] },
+  ],
+  ignoreTypes: [],
+  drop: [
+    '^Merge (branch|pull request|remote-tracking branch|tag|commit) ',
+    '^Merge [\'"]',
+    '^(fixup|squash|amend)! ',
+    '^wip\\b',
+    '^\\[wip\\]',
+  ],
+  minLength: 15,
+  breakingLabel: 'BREAKING',
+};
+
+/**
+ * Get the summary rules of a project (project.json
+ * `repository.commits.summary` over the defaults)
+ */
+function resolveSummaryRules(project = null) {
+  const repository = (project && project.config.repository) || {};
+  const custom = (repository.commits && repository.commits.summary) || {};
+  return { ...DEFAULT_RULES, ...custom };
+}
+
+/**
+ * Parse a commit message into { type, scope, breaking, description, body }.
+ * `type` is null for messages that don't follow Conventional Commits.
+ */
+function parseCommitMessage(subject, body = '') {
+  const trimmed = subject.trim();
+  const breakingFooter = /^BREAKING[ -]CHANGE: /m.test(body);
+
+  const revert = trimmed.match(/^Revert "(.+)"$/);
+  if (revert) {
+    const reverted = parseCommitMessage(revert[1]);
+    return {
+      type: 'revert',
+      scope: reverted.scope,
+      breaking: breakingFooter,
+      description: reverted.description,
+      body,
+    };
+  }
+
+  const match = trimmed.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/);
+  if (match && TYPES.includes(match[1].toLowerCase())) {
+    return {
+      type: match[1].toLowerCase(),
+      scope: match[2] || null,
+      breaking: Boolean(match[3]) || breakingFooter,
+      description: match[4].trim(),
+      body,
+    };
+  }
+
+  return {
+    type: null,
+    scope: null,
+    breaking: breakingFooter,
+    description: trimmed,
+    body,
+  };
+}
+
+/**
+ * Get the first line of a commit body that isn't a trailer
+ * (`Signed-off-by: ...`, `BREAKING CHANGE: ...`)
+ */
+function getBodySummary(body) {
+  const line = (body || '')
+    .split('\n')
+    .map((l) => l.trim())
+    .find((l) => l && !/^[\w-]+: /.test(l) && !/^BREAKING CHANGE: /.test(l));
+  return line || null;
+}
+
+/**
+ * Capitalize the first letter
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Summarize one commit ({ subject, body } or a subject string) into
+ * { item, group, heading, text, breaking }, or null when the commit is
+ * dropped. `group` is the index of its group in the rules (groups.length
+ * when none); `item` is `text` under its `heading` (e.g. `Feature (api)`,
+ * null without a group).
+ */
+function summarizeCommit(commit, rules = DEFAULT_RULES) {
+  const { subject, body } =
+    typeof commit === 'string' ? { subject: commit, body: '' } : commit;
+
+  if (rules.drop.some((pattern) => new RegExp(pattern, 'i').test(subject))) {
+    return null;
+  }
+
+  const parsed = parseCommitMessage(subject, body || '');
+  if (parsed.type && rules.ignoreTypes.includes(parsed.type)) {
+    return null;
+  }
+
+  let description = parsed.description;
+  if (description.length < rules.minLength) {
+    description = getBodySummary(parsed.body) || description;
+  }
+
+  let group = rules.groups.findIndex((g) => g.types.includes(parsed.type));
+  let heading = null;
+  if (group === -1) {
+    group = rules.groups.length;
+  } else {
+    const scope = parsed.scope ? ` (${parsed.scope})` : '';
+    heading = `${rules.groups[group].label}${scope}`;
+  }
+
+  const marker = parsed.breaking ? `**${rules.breakingLabel}** ` : '';
+  const text = capitalize(description);
+
+  return {
+    item: heading ? `${marker}${heading}: ${text}` : `${marker}${text}`,
+    group,
+    heading,
+    text: `${marker}${text}`,
+    breaking: parsed.breaking,
+  };
+}
+
+/**
+ * Summarize commits into work items, grouped by type with breaking changes
+ * first in each group. Returns [{ commit, item, group, heading, text }] for
+ * the kept commits.
+ */
+function summarizeCommits(commits, rules = DEFAULT_RULES) {
+  return commits
+    .map((commit, index) => ({
+      commit,
+      index,
+      summary: summarizeCommit(commit, rules),
+    }))
+    .filter(({ summary }) => summary)
+    .sort(
+      (a, b) =>
+        a.summary.group - b.summary.group ||
+        Number(b.summary.breaking) - Number(a.summary.breaking) ||
+        a.index - b.index,
+    )
+    .map(({ commit, summary }) => ({
+      commit,
+      item: summary.item,
+      group: summary.group,
+      heading: summary.heading,
+      text: summary.text,
+    }));
+}
+
+/**
+ * Merge summarized commits (from summarizeCommits) with the same heading
+ * into one work item: [{ commits, item }], in order of first appearance.
+ * A heading found once keeps its item as is; `keyOf` can split the merging
+ * further (e.g. by area).
+ */
+function combineSummaries(summaries, keyOf = () => '') {
+  const combined = new Map();
+
+  for (const summary of summaries) {
+    const key = `${keyOf(summary)}\n${summary.heading || ''}`;
+    if (!combined.has(key)) {
+      combined.set(key, { heading: summary.heading, summaries: [] });
+    }
+    combined.get(key).summaries.push(summary);
+  }
+
+  return [...combined.values()].map(({ heading, summaries: group }) => {
+    if (group.length === 1) {
+      return { commits: [group[0].commit], item: group[0].item };
+    }
+    const texts = group.map(({ text }) => text).join('; ');
+    return {
+      commits: group.map(({ commit }) => commit),
+      item: heading ? `${heading}: ${texts}` : texts,
+    };
+  });
+}
+
+/**
+ * Group summarized commits (from summarizeCommits) into one group per type:
+ * [{ label, items: [{ commit, item }] }], in the order of the rules' groups.
+ * Items without a group are labeled "Other".
+ */
+function groupSummaries(summaries, rules = DEFAULT_RULES) {
+  const groups = [];
+
+  for (const { commit, item, group } of summaries) {
+    const label =
+      group < rules.groups.length ? rules.groups[group].label : 'Other';
+    let target = groups.find((g) => g.label === label);
+    if (!target) {
+      target = { label, items: [] };
+      groups.push(target);
+    }
+    target.items.push({ commit, item });
+  }
+
+  return groups;
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const messages = [];
+  let projectName = null;
+  let grouped = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project' && i + 1 < args.length) {
+      projectName = args[++i];
+    } else if (args[i] === '--grouped') {
+      grouped = true;
+    } else {
+      messages.push(args[i]);
+    }
+  }
+
+  if (messages.length === 0) {
+    console.error(
+      'Usage: node commit_summary.cjs [--project <name>] [--grouped] <message>...',
+    );
+    process.exit(1);
+  }
+
+  try {
+    let project = null;
+    if (projectName) {
+      project = findProjectConfig(projectName);
+      if (!project) {
+        throw new Error(`Project "${projectName}" not found`);
+      }
+    }
+
+    // A message's first line is the subject, the rest its body
+    const commits = messages.map((message) => {
+      const [subject, ...body] = message.split('\n');
+      return { subject, body: body.join('\n') };
+    });
+    const rules = resolveSummaryRules(project);
+    const items = summarizeCommits(commits, rules);
+    const output = grouped
+      ? groupSummaries(items, rules).map(({ label, items: group }) => ({
+          label,
+          items: group.map(({ item }) => item),
+        }))
+      : combineSummaries(items).map(({ item }) => item);
+    console.log(JSON.stringify(output, null, 2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  resolveSummaryRules,
+  parseCommitMessage,
+  summarizeCommit,
+  summarizeCommits,
+  combineSummaries,
+  groupSummaries,
+};
@@ -2,43 +2,222 @@
 
 /**
  * Code-diary configuration management
- * Reads configuration from environment variables
+ *
+ * Settings are layered: environment variable, then the global config file
+ * (~/.claude/skills/code-diary/config.json), then built-in defaults.
+ * Paths may start with `~`, which expands to the home directory.
+ *
+ * Usage: node config.cjs <command> [args]
+ *
+ * Examples:
+ *   node config.cjs show
+ *   node config.cjs get worklogsPath
+ *   node config.cjs set worklogsPath ~/my-worklogs
+ *   node config.cjs set holidays 2026-12-25,2027-01-01
  */
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const ENV_VAR = 'CODE_DIARY_PATH';
-const DEFAULT_PATH = path.join(process.env.HOME, 'workspace/worklogs');
+const CONFIG_ENV_VAR = 'CODE_DIARY_CONFIG';
+const CONFIG_PATH = path.join(
+  os.homedir(),
+  '.claude/skills/code-diary/config.json',
+);
+const TEMPLATE_PATH = path.join(__dirname, '../assets/config_template.json');
+
+const DEFAULTS = {
+  worklogsPath: '~/workspace/worklogs',
+  defaultProject: null,
+  locale: 'en-US',
+  weekStart: 'monday',
+  timezone: null,
+  holidays: [],
+};
+const DEFAULT_PATH = path.resolve(expandHome(DEFAULTS.worklogsPath));
+
+const VALIDATORS = {
+  worklogsPath: (value) => typeof value === 'string' && value.length > 0,
+  defaultProject: (value) => value === null || typeof value === 'string',
+  locale: (value) => typeof value === 'string' && value.length > 0,
+  weekStart: (value) => value === 'monday' || value === 'sunday',
+  timezone: (value) => value === null || isValidTimezone(value),
+  holidays: (value) =>
+    Array.isArray(value) &&
+    value.every((date) => /^\d{4}-\d{2}-\d{2}$/.test(date)),
+};
+
+// Values set from the command line are strings; lists are comma-separated
+const PARSERS = {
+  holidays: (raw) =>
+    raw
+      .split(',')
+      .map((date) => date.trim())
+      .filter(Boolean),
+};
+
+/**
+ * Check whether a timezone is a valid IANA name (e.g. Asia/Taipei)
+ */
+function isValidTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Expand a leading `~` to the home directory
+ */
+function expandHome(filePath) {
+  if (filePath === '~') {
+    return os.homedir();
+  }
+  if (filePath.startsWith('~/')) {
+    return path.join(os.homedir(), filePath.slice(2));
+  }
+  return filePath;
+}
+
+/**
+ * Get the global config file path (overridable with CODE_DIARY_CONFIG)
+ */
+function getConfigPath() {
+  const override = process.env[CONFIG_ENV_VAR];
+  return override ? path.resolve(expandHome(override)) : CONFIG_PATH;
+}
+
+/**
+ * Create the config file from the template if it doesn't exist
+ */
+function initConfig() {
+  const configPath = getConfigPath();
+
+  if (fs.existsSync(configPath)) {
+    return { configPath, created: false };
+  }
+
+  fs.mkdirSync(path.dirname(configPath), { recursive: true });
+  fs.copyFileSync(TEMPLATE_PATH, configPath);
+  return { configPath, created: true };
+}
+
+/**
+ * Read the config file, or nothing if it doesn't exist yet.
+ * Reading never creates the file: only `init` and `set` do.
+ */
+function readConfigFile() {
+  const configPath = getConfigPath();
+
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(
+      `Failed to parse config at ${configPath}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Get the effective configuration: environment, then file, then defaults
+ */
+function loadConfig() {
+  const config = { ...DEFAULTS, ...readConfigFile() };
+
+  if (process.env[ENV_VAR]) {
+    config.worklogsPath = process.env[ENV_VAR];
+  }
+
+  return config;
+}
+
+/**
+ * Get a config value and where it came from
+ */
+function getConfigValue(key) {
+  if (!(key in DEFAULTS)) {
+    throw new Error(
+      `Unknown config key "${key}". Available: ${Object.keys(DEFAULTS).join(', ')}`,
+    );
+  }
+
+  if (key === 'worklogsPath' && process.env[ENV_VAR]) {
+    return { value: process.env[ENV_VAR], source: 'environment' };
+  }
+
+  const file = readConfigFile();
+  if (file[key] !== undefined) {
+    return { value: file[key], source: 'file' };
+  }
+
+  return { value: DEFAULTS[key], source: 'default' };
+}
+
+/**
+ * Set a value in the config file
+ */
+function setConfigValue(key, rawValue) {
+  if (!(key in DEFAULTS)) {
+    throw new Error(
+      `Unknown config key "${key}". Available: ${Object.keys(DEFAULTS).join(', ')}`,
+    );
+  }
+
+  let value = rawValue === 'null' ? null : rawValue;
+  if (value !== null && PARSERS[key]) {
+    value = PARSERS[key](value);
+  }
+  if (!VALIDATORS[key](value)) {
+    throw new Error(`Invalid value for ${key}: ${rawValue}`);
+  }
+
+  const { configPath } = initConfig();
+  const config = readConfigFile();
+  config[key] = value;
+
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+
+  return { configPath, key, value };
+}
 
 /**
- * Get the worklogs base path from environment or default
+ * Get the worklogs base path with `~` expanded
  */
 function getWorklogsPath() {
-  return process.env[ENV_VAR] || DEFAULT_PATH;
+  return path.resolve(expandHome(loadConfig().worklogsPath));
 }
 
 /**
- * Check if environment variable is configured
+ * Check if the worklogs path is configured (environment or config file)
  */
 function isConfigured() {
-  return !!process.env[ENV_VAR];
+  return getConfigValue('worklogsPath').source !== 'default';
 }
 
 /**
- * Get setup instructions for the environment variable
+ * Get setup instructions for the worklogs path
  */
 function getSetupInstructions() {
   const shell = process.env.SHELL || '';
   const profileFile = shell.includes('zsh') ? '~/.zshrc' : '~/.bashrc';
 
   return `
-Environment variable ${ENV_VAR} is not set.
+Worklogs path is not configured.
 
-To configure it permanently, add this line to your shell profile (${profileFile}):
+Set it in the config file (${getConfigPath()}):
 
-    export ${ENV_VAR}="${DEFAULT_PATH}"
+    node config.cjs set worklogsPath ~/workspace/worklogs
 
-Or use a custom path:
+Or set the environment variable ${ENV_VAR} in your shell profile (${profileFile}),
+which takes precedence over the config file:
 
     export ${ENV_VAR}="~/workspace/worklogs"
 
@@ -56,14 +235,19 @@ if (require.main === module) {
   const command = args[0];
 
   if (!command || command === '--help' || command === '-h') {
-    console.log('Usage: node config.cjs <command>');
+    console.log('Usage: node config.cjs <command> [args]');
     console.log('');
     console.log('Commands:');
-    console.log('  show         Show current worklogs path');
-    console.log('  check        Check if environment variable is configured');
-    console.log('  setup        Show setup instructions');
+    console.log('  show               Show current configuration');
+    console.log('  get <key>          Get a configuration value');
+    console.log('  set <key> <value>  Set a value in the config file');
+    console.log('  path               Show config file path');
+    console.log('  init               Create config file with defaults');
+    console.log('  check              Check if worklogs path is configured');
+    console.log('  setup              Show setup instructions');
     console.log('');
-    console.log(`Environment variable: ${ENV_VAR}`);
+    console.log(`Keys: ${Object.keys(DEFAULTS).join(', ')}`);
+    console.log(`Environment variable: ${ENV_VAR} (overrides worklogsPath)`);
     console.log(`Default path: ${DEFAULT_PATH}`);
     process.exit(0);
   }
@@ -71,29 +255,90 @@ if (require.main === module) {
   try {
     switch (command) {
       case 'show': {
-        const worklogsPath = getWorklogsPath();
-        const isEnvSet = isConfigured();
-
-        console.log(JSON.stringify({
-          worklogsPath,
-          source: isEnvSet ? 'environment' : 'default',
-          envVar: ENV_VAR,
-          isConfigured: isEnvSet,
-        }, null, 2));
+        const source = getConfigValue('worklogsPath').source;
+
+        console.log(
+          JSON.stringify(
+            {
+              worklogsPath: getWorklogsPath(),
+              source,
+              envVar: ENV_VAR,
+              isConfigured: source !== 'default',
+              configPath: getConfigPath(),
+              config: loadConfig(),
+            },
+            null,
+            2,
+          ),
+        );
+        break;
+      }
+
+      case 'get': {
+        const key = args[1];
+        if (!key) {
+          throw new Error('Missing required argument: <key>');
+        }
+        const { value, source } = getConfigValue(key);
+        console.log(
+          JSON.stringify(
+            {
+              key,
+              value: key === 'worklogsPath' ? getWorklogsPath() : value,
+              source,
+            },
+            null,
+            2,
+          ),
+        );
+        break;
+      }
+
+      case 'set': {
+        const [key, value] = args.slice(1);
+        if (!key || value === undefined) {
+          throw new Error('Missing required arguments: <key> <value>');
+        }
+        const result = setConfigValue(key, value);
+        console.log(`✅ Set ${result.key} = ${result.value}`);
+        console.log(`   Config: ${result.configPath}`);
+        if (key === 'worklogsPath' && process.env[ENV_VAR]) {
+          console.log(
+            `⚠️  ${ENV_VAR} is set and overrides this value: ${process.env[ENV_VAR]}`,
+          );
+        }
+        break;
+      }
+
+      case 'path': {
+        console.log(getConfigPath());
+        break;
+      }
+
+      case 'init': {
+        const result = initConfig();
+        console.log(
+          result.created
+            ? `✅ Created config: ${result.configPath}`
+            : `Config already exists: ${result.configPath}`,
+        );
         break;
       }
 
       case 'check': {
-        const isEnvSet = isConfigured();
-        if (isEnvSet) {
-          console.log(`✅ ${ENV_VAR} is configured: ${process.env[ENV_VAR]}`);
+        const { value, source } = getConfigValue('worklogsPath');
+        const configured = source !== 'default';
+        if (configured) {
+          console.log(`✅ worklogsPath is configured (${source}): ${value}`);
         } else {
-          console.log(`⚠️  ${ENV_VAR} is not configured`);
+          console.log('⚠️  worklogsPath is not configured');
           console.log(`Using default: ${DEFAULT_PATH}`);
           console.log('');
-          console.log('Run "node config.cjs setup" for configuration instructions.');
+          console.log(
+            'Run "node config.cjs setup" for configuration instructions.',
+          );
         }
-        process.exit(isEnvSet ? 0 : 1);
+        process.exit(configured ? 0 : 1);
       }
 
       case 'setup': {
@@ -116,6 +361,14 @@ module.exports = {
   getWorklogsPath,
   isConfigured,
   getSetupInstructions,
+  loadConfig,
+  getConfigValue,
+  setConfigValue,
+  getConfigPath,
+  initConfig,
+  expandHome,
+  isValidTimezone,
   ENV_VAR,
   DEFAULT_PATH,
+  DEFAULTS,
 };
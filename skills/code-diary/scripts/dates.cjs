@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Calendar dates, timezones and weeks used by every script
+ *
+ * Dates are plain `YYYY-MM-DD` strings. "Today" and timestamps are computed
+ * in an explicit timezone: `--tz`, then the `timezone` config value, then the
+ * system timezone. Date arithmetic runs on UTC midnights, so it never shifts
+ * across DST changes or UTC offsets.
+ *
+ * Weeks start on Monday (ISO 8601) or Sunday (US), from the `weekStart`
+ * config value. A week belongs to the year of its Thursday (Monday weeks) or
+ * of its Saturday (Sunday weeks, where week 1 contains January 1st).
+ *
+ * Usage: node dates.cjs [date] [--tz <timezone>] [--week-start <monday|sunday>]
+ * Output: JSON object with the date, timezone and week
+ *
+ * Examples:
+ *   node dates.cjs                          # Today in the configured timezone
+ *   node dates.cjs --tz Asia/Taipei
+ *   node dates.cjs 2026-12-31 --week-start sunday
+ */
+
+const { loadConfig, isValidTimezone } = require('./config.cjs');
+
+const DAY_MS = 86400000;
+const WEEK_STARTS = ['monday', 'sunday'];
+
+/**
+ * Get the timezone to use: explicit, then config, then the system timezone
+ */
+function resolveTimezone(tz = null) {
+  const timezone =
+    tz ||
+    loadConfig().timezone ||
+    Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone: ${timezone}`);
+  }
+
+  return timezone;
+}
+
+/**
+ * Get the first day of the week: explicit, then config (default monday)
+ */
+function resolveWeekStart(weekStart = null) {
+  const value = weekStart || loadConfig().weekStart || 'monday';
+
+  if (!WEEK_STARTS.includes(value)) {
+    throw new Error(
+      `Invalid week start "${value}" (expected ${WEEK_STARTS.join(' or ')})`,
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Get the calendar fields of an instant in a timezone
+ */
+function getZonedParts(date, tz) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimezone(tz),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const fields = {};
+  for (const part of parts) {
+    if (part.type !== 'literal') {
+      fields[part.type] = parseInt(part.value, 10);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Get the calendar date (YYYY-MM-DD) of an instant in a timezone
+ */
+function toDateString(date, tz = null) {
+  const { year, month, day } = getZonedParts(date, tz);
+  return [year, month, day]
+    .map((n, i) => String(n).padStart(i === 0 ? 4 : 2, '0'))
+    .join('-');
+}
+
+/**
+ * Get today's date (YYYY-MM-DD) in a timezone
+ */
+function today(tz = null) {
+  return toDateString(new Date(), tz);
+}
+
+/**
+ * Validate a YYYY-MM-DD (or YYYY/MM/DD) date and return it as YYYY-MM-DD
+ */
+function parseDate(dateStr) {
+  const match = String(dateStr)
+    .trim()
+    .match(/^(\d{4})[-/](\d{2})[-/](\d{2})$/);
+  const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+
+  if (
+    !date ||
+    date.getUTCFullYear() !== Number(match[1]) ||
+    date.getUTCMonth() !== match[2] - 1 ||
+    date.getUTCDate() !== Number(match[3])
+  ) {
+    throw new Error(`Invalid date: ${dateStr} (expected YYYY-MM-DD)`);
+  }
+
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Get the UTC midnight timestamp of a date
+ */
+function toUTC(dateStr) {
+  const [year, month, day] = parseDate(dateStr).split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * Shift a date by a number of days
+ */
+function addDays(dateStr, days) {
+  return new Date(toUTC(dateStr) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the day of the week (0 = Sunday, 6 = Saturday)
+ */
+function getDayOfWeek(dateStr) {
+  return new Date(toUTC(dateStr)).getUTCDay();
+}
+
+/**
+ * Format a date as the YYYY/MM/DD daily header
+ */
+function formatDateHeader(dateStr) {
+  return parseDate(dateStr).replace(/-/g, '/');
+}
+
+/**
+ * Get the week containing a date: its year, number and date range.
+ * `middle` is the week's fourth day, whose month holds the week summary.
+ */
+function getWeek(dateStr, weekStart = null) {
+  const startDay = resolveWeekStart(weekStart) === 'sunday' ? 0 : 1;
+  const offset = (getDayOfWeek(dateStr) - startDay + 7) % 7;
+  const start = addDays(dateStr, -offset);
+
+  // Thursday decides ISO weeks; Saturday decides US weeks (week 1 has Jan 1)
+  const anchor = addDays(start, startDay === 1 ? 3 : 6);
+  const weekYear = Number(anchor.slice(0, 4));
+  const dayOfYear = (toUTC(anchor) - Date.UTC(weekYear, 0, 1)) / DAY_MS + 1;
+
+  return {
+    weekYear,
+    week: Math.floor((dayOfYear - 1) / 7) + 1,
+    start,
+    end: addDays(start, 6),
+    middle: addDays(start, 3),
+  };
+}
+
+/**
+ * Get a timezone's UTC offset in minutes at an instant
+ */
+function getTimezoneOffset(date, tz = null) {
+  const parts = getZonedParts(date, tz);
+  const asUTC = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Format an instant as ISO datetime with the timezone's offset
+ * e.g. 2026-01-28T14:03:12+08:00
+ */
+function formatDateTime(date = new Date(), tz = null) {
+  const timezone = resolveTimezone(tz);
+  const pad = (n) => String(n).padStart(2, '0');
+  const { hour, minute, second } = getZonedParts(date, timezone);
+  const offset = getTimezoneOffset(date, timezone);
+  const sign = offset >= 0 ? '+' : '-';
+  const absOffset = Math.abs(offset);
+
+  return (
+    `${toDateString(date, timezone)}T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`
+  );
+}
+
+/**
+ * Format a date for display with a locale (e.g. "Wed, Jan 28, 2026")
+ */
+function formatLocaleDate(dateStr, locale, options) {
+  return new Date(toUTC(dateStr)).toLocaleDateString(locale, {
+    ...options,
+    timeZone: 'UTC',
+  });
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const options = { date: null, tz: null, weekStart: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--tz' && i + 1 < args.length) {
+      options.tz = args[++i];
+    } else if (args[i] === '--week-start' && i + 1 < args.length) {
+      options.weekStart = args[++i];
+    } else {
+      options.date = args[i];
+    }
+  }
+
+  try {
+    const timezone = resolveTimezone(options.tz);
+    const date = options.date ? parseDate(options.date) : today(timezone);
+    console.log(
+      JSON.stringify(
+        {
+          date,
+          timezone,
+          now: formatDateTime(new Date(), timezone),
+          weekStart: resolveWeekStart(options.weekStart),
+          week: getWeek(date, options.weekStart),
+        },
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  resolveTimezone,
+  resolveWeekStart,
+  toDateString,
+  today,
+  parseDate,
+  addDays,
+  getDayOfWeek,
+  formatDateHeader,
+  getWeek,
+  getTimezoneOffset,
+  formatDateTime,
+  formatLocaleDate,
+};
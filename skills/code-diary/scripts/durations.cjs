@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Durations and the time annotations of worklog entries
+ *
+ * Durations are written `1h30m`, `2h` or `45m` (input also accepts `1.5h`
+ * and `1h 30m`) and handled as whole minutes. Time spent is recorded as a
+ * trailing `[1h30m]` annotation, on a work item or on the entry itself:
+ *
+ *   - PROJ-123: Dashboard Automations [2h]
+ *     - Implemented sensor time range selector [1h30m]
+ *
+ * Usage: node durations.cjs <duration>...
+ * Output: JSON array of { input, minutes, formatted }
+ *
+ * Examples:
+ *   node durations.cjs 1h30m 1.5h 45m
+ */
+
+const DURATION = /^(?:(\d+(?:\.\d+)?)h)?\s*(?:(\d+)m)?$/i;
+const TIME_ANNOTATION = /\s+\[([^\]]+)\]$/;
+
+/**
+ * Parse a duration (`1h30m`, `2h`, `45m`, `1.5h`) into minutes.
+ * Throws on anything else.
+ */
+function parseDuration(text) {
+  const match = String(text).trim().match(DURATION);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid duration: ${text} (expected e.g. 1h30m, 2h, 45m)`);
+  }
+
+  return Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+}
+
+/**
+ * Format minutes as a duration, e.g. 90 → "1h30m"
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+
+  if (hours === 0) {
+    return `${rest}m`;
+  }
+  return rest === 0 ? `${hours}h` : `${hours}h${rest}m`;
+}
+
+/**
+ * Split a trailing `[1h30m]` annotation off a work item or entry summary:
+ * { text, minutes }, minutes being null without an annotation
+ */
+function splitTimeAnnotation(text) {
+  const match = text.match(TIME_ANNOTATION);
+  if (!match) {
+    return { text, minutes: null };
+  }
+
+  try {
+    return {
+      text: text.slice(0, match.index),
+      minutes: parseDuration(match[1]),
+    };
+  } catch (error) {
+    // A bracketed note that isn't a duration
+    return { text, minutes: null };
+  }
+}
+
+/**
+ * Add a `[1h30m]` annotation to text (nothing when minutes is null)
+ */
+function withTimeAnnotation(text, minutes) {
+  return minutes === null || minutes === undefined
+    ? text
+    : `${text} [${formatDuration(minutes)}]`;
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.error('Usage: node durations.cjs <duration>...');
+    process.exit(1);
+  }
+
+  try {
+    console.log(
+      JSON.stringify(
+        args.map((input) => {
+          const minutes = parseDuration(input);
+          return { input, minutes, formatted: formatDuration(minutes) };
+        }),
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  splitTimeAnnotation,
+  withTimeAnnotation,
+};
@@ -1,117 +1,603 @@
 #!/usr/bin/env node
 
 /**
- * Find task files by tracking ID or summary keywords
- * Usage: node find_task.cjs <tasks-path> <search-term>
+ * Find task files by tracking ID, summary keywords or body text
+ *
+ * The search term is split into words, matched in any order against the
+ * tracking ID, filename, summary and body (Description, Notes) of each task.
+ * Every word must match; exact words score higher than prefixes or parts of
+ * words, and summary or tracking ID matches higher than body matches. When
+ * nothing matches, words are matched again allowing typos. Results are
+ * ranked by `score` with a `snippet` of the matched text (**highlighted**).
+ *
+ * Usage: node find_task.cjs [options] <search-term>
+ *        node find_task.cjs <tasks-path> <search-term>
+ *
+ * Options:
+ *   --project <name>         Project name (default: detected from --cwd)
+ *   --all-projects           Search the tasks of every project
+ *   --cwd <path>             Working directory for project detection (default: current directory)
+ *   --status <status>        Only tasks in this status (repeatable, or comma-separated)
+ *   --created-after <date>   Only tasks created on or after YYYY-MM-DD
  *
  * Examples:
  *   node find_task.cjs ~/.claude/worklogs/my-project/tasks PROJ-123
- *   node find_task.cjs ~/.claude/worklogs/my-project/tasks "dashboard feature"
+ *   node find_task.cjs "automations dashboard"
+ *   node find_task.cjs --all-projects --status working,new "sensor"
  */
 
 const fs = require('fs');
 const path = require('path');
+const { getTaskStatuses, loadProjectConfig } = require('./task_lifecycle.cjs');
+const { isTrackingId, trackingIdKey } = require('./tracking_id.cjs');
+const { loadFrontmatter } = require('./frontmatter.cjs');
+const {
+  resolveProject,
+  findProjectConfig,
+  listProjects,
+} = require('./get_current_project.cjs');
+const { parseDate } = require('./dates.cjs');
+
+// Weight of a word matched in each field, in matchType order for ties
+const FIELD_WEIGHTS = {
+  tracking_id: 8,
+  summary: 6,
+  filename: 4,
+  body: 1,
+};
+const EXACT_ID_SCORE = 100;
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Read a frontmatter field of a task as a trimmed string (null if missing)
+ */
+function getTaskField(data, key) {
+  const value = data[key];
+  return value === undefined || value === null || Array.isArray(value)
+    ? null
+    : String(value).trim() || null;
+}
+
+/**
+ * Check whether a task matches a tracking ID exactly, by its frontmatter
+ * tracking ID or its `<ID>_` filename prefix
+ */
+function isSameTrackingId(task, trackingId) {
+  const key = trackingIdKey(trackingId);
+  return (
+    (!!task.trackingId && trackingIdKey(task.trackingId) === key) ||
+    task.filename.toLowerCase().startsWith(`${key}_`)
+  );
+}
+
+/**
+ * Split text into lowercase words
+ */
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Levenshtein distance between two words, or max + 1 when it exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * How well a search word matches a word of the text: 1 for the same word,
+ * 0.8 for a prefix, 0.6 for a part, 0.4 for a typo (fuzzy only), else 0
+ */
+function matchWord(token, word, fuzzy) {
+  if (word === token) {
+    return 1;
+  }
+  if (word.startsWith(token)) {
+    return 0.8;
+  }
+  if (word.includes(token)) {
+    return 0.6;
+  }
+  if (fuzzy && token.length >= 4) {
+    const max = token.length >= 8 ? 2 : 1;
+    return editDistance(token, word, max) <= max ? 0.4 : 0;
+  }
+  return 0;
+}
+
+/**
+ * Best match of a search word among the words of a text
+ */
+function matchToken(token, words, fuzzy) {
+  let best = 0;
+  for (const word of words) {
+    best = Math.max(best, matchWord(token, word, fuzzy));
+    if (best === 1) {
+      break;
+    }
+  }
+  return best;
+}
+
+/**
+ * Wrap the words of a text matching any search word in **...**
+ */
+function highlight(text, tokens, fuzzy) {
+  return text.replace(/[\p{L}\p{N}]+/gu, (word) =>
+    tokens.some((token) => matchWord(token, word.toLowerCase(), fuzzy) > 0)
+      ? `**${word}**`
+      : word,
+  );
+}
+
+/**
+ * Get the body text searched for a task: everything after the title,
+ * without template hints such as "(Task-specific notes, ...)"
+ */
+function getSearchableBody(body) {
+  return body
+    .split(/\r?\n/)
+    .filter((line) => !/^#\s/.test(line) && !/^\s*\(.*\)\s*$/.test(line))
+    .join('\n');
+}
+
+/**
+ * Get a snippet of the body line matching the most search words
+ */
+function getBodySnippet(body, tokens, fuzzy) {
+  let best = null;
+  let bestCount = 0;
+
+  for (const line of body.split('\n')) {
+    const words = tokenize(line);
+    const count = tokens.filter((t) => matchToken(t, words, fuzzy) > 0).length;
+    if (count > bestCount) {
+      best = line.trim().replace(/^[-*+]\s+/, '');
+      bestCount = count;
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  // Center long lines on the first match
+  if (best.length > SNIPPET_LENGTH) {
+    const first = tokenize(best).find((word) =>
+      tokens.some((token) => matchWord(token, word, fuzzy) > 0),
+    );
+    const at = Math.max(0, best.toLowerCase().indexOf(first) - 30);
+    const end = at + SNIPPET_LENGTH;
+    best =
+      (at > 0 ? '...' : '') +
+      best.slice(at, end).trim() +
+      (end < best.length ? '...' : '');
+  }
+
+  return highlight(best, tokens, fuzzy);
+}
+
+/**
+ * Score a task's fields against the search words. Returns
+ * { score, matchType } or null when a word matches no field.
+ */
+function scoreTask(fields, tokens, phrase, fuzzy) {
+  const contributions = Object.fromEntries(
+    Object.keys(FIELD_WEIGHTS).map((field) => [field, 0]),
+  );
+  const words = Object.fromEntries(
+    Object.keys(FIELD_WEIGHTS).map((field) => [field, tokenize(fields[field])]),
+  );
+
+  for (const token of tokens) {
+    let best = null;
+    let bestScore = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const score = weight * matchToken(token, words[field], fuzzy);
+      if (score > bestScore) {
+        best = field;
+        bestScore = score;
+      }
+    }
+    if (!best) {
+      return null;
+    }
+    contributions[best] += bestScore;
+  }
+
+  // Words in the same order as the search term score again
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    if (tokens.length > 1 && words[field].join(' ').includes(phrase)) {
+      contributions[field] += weight;
+    }
+  }
+
+  const matchType = Object.keys(FIELD_WEIGHTS).reduce((a, b) =>
+    contributions[b] > contributions[a] ? b : a,
+  );
+  const score = Object.values(contributions).reduce((a, b) => a + b, 0);
+  return { score: Math.round(score * 100) / 100, matchType };
+}
+
+/**
+ * Read the searchable fields of a task file, or null if it can't be read
+ */
+function readTaskFields(filePath, fileName) {
+  try {
+    const { data, body } = loadFrontmatter(filePath);
+    return {
+      data,
+      tracking_id: getTaskField(data, 'tracking_id') || '',
+      summary: getTaskField(data, 'summary') || '',
+      filename: fileName,
+      body: getSearchableBody(body),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the search result of a scored task
+ */
+function toResult(task, match, tokens, fuzzy) {
+  const result = {
+    path: task.path,
+    status: task.status,
+    filename: task.fields.filename,
+    matchType: match.matchType,
+  };
+
+  if (match.matchType === 'tracking_id' && task.fields.tracking_id) {
+    result.trackingId = task.fields.tracking_id;
+  } else if (match.matchType === 'summary') {
+    result.summary = task.fields.summary;
+  }
+
+  result.score = match.score;
+  result.snippet =
+    match.matchType === 'body'
+      ? getBodySnippet(task.fields.body, tokens, fuzzy)
+      : highlight(task.fields.summary || task.fields.filename, tokens, fuzzy);
+
+  return result;
+}
 
-function findTaskFiles(tasksPath, searchTerm) {
+/**
+ * Find tasks matching a search term, best matches first.
+ *
+ * Options:
+ *   statuses       Only search these statuses (default: all of the project)
+ *   createdAfter   Only tasks created on or after this date (YYYY-MM-DD)
+ */
+function findTaskFiles(tasksPath, searchTerm, options = {}) {
   if (!fs.existsSync(tasksPath)) {
     return [];
   }
 
-  const results = [];
-  const statuses = ['new', 'working', 'archived'];
+  const statuses = getTaskStatuses(loadProjectConfig(tasksPath));
+  const createdAfter = options.createdAfter
+    ? parseDate(options.createdAfter)
+    : null;
+  const searchId = isTrackingId(searchTerm) ? searchTerm.trim() : null;
+  const tokens = tokenize(searchTerm);
+  const phrase = tokens.join(' ');
 
-  // Normalize search term for comparison
-  const normalizedSearch = searchTerm.toLowerCase().trim();
+  if (options.statuses) {
+    const unknown = options.statuses.filter((s) => !statuses.includes(s));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown task status "${unknown[0]}". Available: ${statuses.join(', ')}`,
+      );
+    }
+  }
 
-  for (const status of statuses) {
+  const tasks = [];
+  for (const status of options.statuses || statuses) {
     const statusPath = path.join(tasksPath, status);
 
     if (!fs.existsSync(statusPath)) {
       continue;
     }
 
-    const files = fs.readdirSync(statusPath);
-
-    for (const file of files) {
+    for (const file of fs.readdirSync(statusPath)) {
       if (!file.endsWith('.md')) {
         continue;
       }
 
       const filePath = path.join(statusPath, file);
-      const fileName = file.replace('.md', '');
-
-      // Check if search term matches filename
-      if (fileName.toLowerCase().includes(normalizedSearch)) {
-        results.push({
-          path: filePath,
-          status: status,
-          filename: fileName,
-          matchType: 'filename',
-        });
+      const fields = readTaskFields(filePath, file.replace('.md', ''));
+      const created = fields && getTaskField(fields.data, 'created');
+
+      // Skip files that can't be read, and tasks created before the range
+      if (
+        !fields ||
+        (createdAfter && (!created || created.slice(0, 10) < createdAfter))
+      ) {
+        continue;
+      }
+
+      tasks.push({ path: filePath, status, fields });
+    }
+  }
+
+  // Match words exactly first, then allow typos when nothing matched
+  for (const fuzzy of [false, true]) {
+    const results = [];
+
+    for (const task of tasks) {
+      let match = tokens.length
+        ? scoreTask(task.fields, tokens, phrase, fuzzy)
+        : null;
+
+      if (
+        searchId &&
+        isSameTrackingId(
+          {
+            filename: task.fields.filename,
+            trackingId: task.fields.tracking_id,
+          },
+          searchId,
+        )
+      ) {
+        match = {
+          score: EXACT_ID_SCORE + (match ? match.score : 0),
+          matchType: 'tracking_id',
+        };
+      }
+
+      if (match) {
+        results.push(toResult(task, match, tokens, fuzzy));
+      }
+    }
+
+    if (results.length > 0) {
+      return results.sort(
+        (a, b) =>
+          b.score - a.score ||
+          statuses.indexOf(a.status) - statuses.indexOf(b.status) ||
+          a.filename.localeCompare(b.filename),
+      );
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Find tasks across projects; each result also has its `project`.
+ * `options.statuses` only applies to the projects declaring them.
+ */
+function findProjectTasks(projects, searchTerm, options = {}) {
+  const results = [];
+
+  for (const project of projects) {
+    let statuses = options.statuses;
+    if (statuses) {
+      const available = getTaskStatuses(loadProjectConfig(project.tasksPath));
+      statuses = statuses.filter((status) => available.includes(status));
+      if (statuses.length === 0) {
+        continue;
+      }
+    }
+
+    for (const result of findTaskFiles(project.tasksPath, searchTerm, {
+      ...options,
+      statuses,
+    })) {
+      results.push({ project: project.name, ...result });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * List tasks with their frontmatter tracking ID, summary, branch and
+ * creation time. Files that can't be read are skipped; pass an array as
+ * `options.skipped` to collect them as { path, status, error }.
+ */
+function listTasks(tasksPath, statuses = null, options = {}) {
+  if (!fs.existsSync(tasksPath)) {
+    return [];
+  }
+
+  const tasks = [];
+
+  for (const status of statuses ||
+    getTaskStatuses(loadProjectConfig(tasksPath))) {
+    const statusPath = path.join(tasksPath, status);
+
+    if (!fs.existsSync(statusPath)) {
+      continue;
+    }
+
+    for (const file of fs.readdirSync(statusPath).sort()) {
+      if (!file.endsWith('.md')) {
         continue;
       }
 
-      // Check if search term matches content (tracking_id or summary in frontmatter)
+      const filePath = path.join(statusPath, file);
+      let data;
       try {
-        const content = fs.readFileSync(filePath, 'utf-8');
-        const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-
-        if (frontmatterMatch) {
-          const frontmatter = frontmatterMatch[1];
-          const trackingIdMatch = frontmatter.match(/tracking_id:\s*(.+)/);
-          const summaryMatch = frontmatter.match(/summary:\s*(.+)/);
-
-          if (
-            trackingIdMatch &&
-            trackingIdMatch[1].toLowerCase().includes(normalizedSearch)
-          ) {
-            results.push({
-              path: filePath,
-              status: status,
-              filename: fileName,
-              matchType: 'tracking_id',
-              trackingId: trackingIdMatch[1].trim(),
-            });
-          } else if (
-            summaryMatch &&
-            summaryMatch[1].toLowerCase().includes(normalizedSearch)
-          ) {
-            results.push({
-              path: filePath,
-              status: status,
-              filename: fileName,
-              matchType: 'summary',
-              summary: summaryMatch[1].trim(),
-            });
-          }
-        }
+        ({ data } = loadFrontmatter(filePath));
       } catch (error) {
-        // Skip files that can't be read
+        if (options.skipped) {
+          options.skipped.push({
+            path: filePath,
+            status,
+            error: error.message,
+          });
+        }
         continue;
       }
+
+      tasks.push({
+        path: filePath,
+        status: status,
+        filename: file.replace('.md', ''),
+        trackingId: getTaskField(data, 'tracking_id'),
+        summary: getTaskField(data, 'summary'),
+        branch: getTaskField(data, 'branch'),
+        created: getTaskField(data, 'created'),
+      });
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Create an error carrying a machine-readable code and details
+ */
+function taskError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Find exactly one task, preferring an exact tracking ID match, then
+ * matches on the tracking ID, filename or summary over body matches.
+ * Throws TASK_NOT_FOUND or MULTIPLE_MATCHES (with the ranked matches).
+ */
+function findSingleTask(tasksPath, searchTerm, options = {}) {
+  const matches = findTaskFiles(tasksPath, searchTerm, options);
+
+  if (matches.length === 0) {
+    throw taskError('TASK_NOT_FOUND', `No task found for "${searchTerm}"`);
+  }
+
+  const tiers = [
+    matches.filter((match) => isSameTrackingId(match, searchTerm)),
+    matches.filter((match) => match.matchType !== 'body'),
+    matches,
+  ];
+  const tier = tiers.find((candidates) => candidates.length > 0);
+
+  if (tier.length === 1) {
+    return tier[0];
+  }
+
+  throw taskError('MULTIPLE_MATCHES', `Multiple tasks match "${searchTerm}"`, {
+    matches,
+  });
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    project: null,
+    allProjects: false,
+    cwd: process.cwd(),
+    statuses: null,
+    createdAfter: null,
+    positional: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--all-projects') {
+      args.allProjects = true;
+    } else if (arg === '--cwd' && i + 1 < argv.length) {
+      args.cwd = argv[++i];
+    } else if (arg === '--status' && i + 1 < argv.length) {
+      args.statuses = (args.statuses || []).concat(
+        argv[++i].split(',').map((s) => s.trim()),
+      );
+    } else if (arg === '--created-after' && i + 1 < argv.length) {
+      args.createdAfter = argv[++i];
+    } else {
+      args.positional.push(arg);
     }
   }
 
-  return results;
+  return args;
 }
 
 // Main
 if (require.main === module) {
-  const tasksPath = process.argv[2];
-  const searchTerm = process.argv[3];
+  const args = parseArgs(process.argv.slice(2));
+  const [first, second] = args.positional;
+  const searchTerm = second === undefined ? first : second;
 
-  if (!tasksPath || !searchTerm) {
-    console.error('Usage: node find_task.cjs <tasks-path> <search-term>');
+  if (!searchTerm) {
+    console.error('Usage: node find_task.cjs [options] <search-term>');
+    console.error('       node find_task.cjs <tasks-path> <search-term>');
+    console.error('');
+    console.error('Options:');
+    console.error('  --project <name>         Project name');
+    console.error('  --all-projects           Search every project');
+    console.error('  --cwd <path>             Working directory for detection');
+    console.error('  --status <status>        Only tasks in this status');
+    console.error('  --created-after <date>   Only tasks created on or after');
     process.exit(1);
   }
 
-  const results = findTaskFiles(path.resolve(tasksPath), searchTerm);
+  try {
+    const options = {
+      statuses: args.statuses,
+      createdAfter: args.createdAfter,
+    };
+    let results;
+
+    if (second !== undefined) {
+      results = findTaskFiles(path.resolve(first), searchTerm, options);
+    } else if (args.allProjects) {
+      results = findProjectTasks(
+        listProjects().map((name) => findProjectConfig(name)),
+        searchTerm,
+        options,
+      );
+    } else {
+      results = findTaskFiles(
+        resolveProject(args).tasksPath,
+        searchTerm,
+        options,
+      );
+    }
 
-  if (results.length === 0) {
-    console.log('No tasks found');
-  } else {
-    console.log(JSON.stringify(results, null, 2));
+    if (results.length === 0) {
+      console.log('No tasks found');
+    } else {
+      console.log(JSON.stringify(results, null, 2));
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
   }
 }
 
-module.exports = { findTaskFiles };
+module.exports = {
+  findTaskFiles,
+  findProjectTasks,
+  findSingleTask,
+  listTasks,
+  isSameTrackingId,
+  getTaskField,
+  tokenize,
+  taskError,
+};
@@ -1,48 +1,359 @@
 #!/usr/bin/env node
 
 /**
- * Format worklog markdown files using prettier
- * Usage: node format_worklog.cjs <file-path>
+ * Format worklog and task markdown files
+ *
+ * Uses a built-in serializer that normalizes the block structure code-diary
+ * writes: frontmatter, headings, blank lines between blocks, paragraphs, and
+ * list markers and indentation. For those it matches prettier with the
+ * skill's `.prettierrc.js`, so prettier is optional for worklogs and tasks.
+ *
+ * Everything else is kept as written: code blocks, inline markup (prettier
+ * would rewrite `*x*` to `_x_` and `__x__` to `**x**`) and tables (prettier
+ * would pad and align them). Use --prettier for those.
+ *
+ * Usage: node format_worklog.cjs [--prettier] <file-path>
+ *
+ * Options:
+ *   --prettier    Format with `npx prettier` instead of the built-in serializer
  */
 
 const { execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
-function formatWorklog(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      console.error(`Error: File not found: ${filePath}`);
-      process.exit(1);
+const FENCE = /^ {0,3}(```|~~~)/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/;
+
+/**
+ * Check whether a line starts a block that ends a paragraph or list
+ */
+function isBlockStart(line) {
+  return (
+    FENCE.test(line) ||
+    HEADING.test(line) ||
+    THEMATIC_BREAK.test(line) ||
+    (LIST_ITEM.test(line) && line.match(/^ */)[0].length <= 3)
+  );
+}
+
+/**
+ * Read a fenced code block verbatim
+ */
+function readFence(lines, start) {
+  const fence = lines[start].trim().match(/^(`{3,}|~{3,})/)[1];
+  let i = start + 1;
+
+  while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+    i++;
+  }
+
+  return { block: lines.slice(start, i + 1), next: i + 1 };
+}
+
+/**
+ * Get the marker kind that keeps items in the same list
+ * (bullet character, or ordered list delimiter)
+ */
+function markerKind(marker) {
+  return /\d/.test(marker) ? marker.slice(-1) : marker;
+}
+
+/**
+ * Parse a list into a tree of items
+ */
+function readList(lines, start, bullet = '-') {
+  const root = { children: [], contentIndent: 0 };
+  const stack = [root];
+  let pendingBlank = false;
+  let i = start;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      pendingBlank = true;
+      continue;
+    }
+
+    const indent = line.match(/^ */)[0].length;
+    const match = !THEMATIC_BREAK.test(line) && line.match(LIST_ITEM);
+
+    if (match) {
+      while (
+        stack.length > 1 &&
+        indent < stack[stack.length - 1].contentIndent
+      ) {
+        stack.pop();
+      }
+      if (stack.length === 1 && indent > 3) {
+        break;
+      }
+
+      const parent = stack[stack.length - 1];
+      const siblings = parent.children;
+
+      // A different marker starts a new list
+      if (
+        parent === root &&
+        siblings.length > 0 &&
+        markerKind(siblings[0].marker) !== markerKind(match[2])
+      ) {
+        break;
+      }
+
+      if (pendingBlank && siblings.length > 0) {
+        siblings[siblings.length - 1].blankAfter = true;
+      } else if (pendingBlank && parent !== root) {
+        parent.spread = true;
+      }
+
+      const spacing = match[3].length;
+      const item = {
+        marker: match[2],
+        text: [match[4].trim()],
+        children: [],
+        contentIndent:
+          indent +
+          match[2].length +
+          (spacing >= 1 && spacing <= 4 ? spacing : 1),
+        blankAfter: false,
+        spread: false,
+      };
+
+      siblings.push(item);
+      stack.push(item);
+      pendingBlank = false;
+      continue;
+    }
+
+    // Any other block start outside the current item ends the list
+    if (isBlockStart(line) && indent < stack[stack.length - 1].contentIndent) {
+      break;
+    }
+
+    if (pendingBlank) {
+      // After a blank line, only indented lines continue an item
+      while (
+        stack.length > 1 &&
+        indent < stack[stack.length - 1].contentIndent
+      ) {
+        stack.pop();
+      }
+      if (stack.length === 1) {
+        break;
+      }
+      const item = stack[stack.length - 1];
+      item.spread = true;
+      item.text.push('', line.trim());
+    } else {
+      // Continuation (or lazy continuation) of the deepest item
+      stack[stack.length - 1].text.push(line.trim());
+    }
+
+    pendingBlank = false;
+  }
+
+  return { block: renderListItems(root.children, '', bullet), next: i };
+}
+
+/**
+ * Render list items with normalized markers and indentation
+ */
+function renderListItems(items, indent, bullet = '-') {
+  const output = [];
+  const ordered = /\d/.test(items[0].marker);
+  const start = ordered ? parseInt(items[0].marker, 10) : 0;
+  const increment =
+    ordered && items.length > 1 && parseInt(items[1].marker, 10) === start
+      ? 0
+      : 1;
+
+  items.forEach((item, index) => {
+    const marker = ordered
+      ? `${start + index * increment}${item.marker.slice(-1)}`
+      : bullet;
+    const childIndent = indent + ' '.repeat(marker.length + 1);
+    const [first, ...rest] = item.text;
+
+    output.push(first ? `${indent}${marker} ${first}` : `${indent}${marker}`);
+    for (const line of rest) {
+      output.push(line === '' ? '' : `${childIndent}${line}`);
+    }
+
+    if (item.children.length > 0) {
+      if (item.spread) {
+        output.push('');
+      }
+      output.push(...renderListItems(item.children, childIndent));
+    }
+
+    if (index < items.length - 1 && (item.blankAfter || item.spread)) {
+      output.push('');
+    }
+  });
+
+  return output;
+}
+
+/**
+ * Serialize markdown content in canonical form:
+ * LF line endings, one blank line between blocks, ATX headings,
+ * `-` bullets with 2-space nesting, no trailing whitespace.
+ */
+function formatMarkdown(content) {
+  const lines = content.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let previousList = null;
+  let i = 0;
+
+  // YAML frontmatter is kept as-is
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) {
+      blocks.push(lines.slice(0, end + 1).map((line) => line.trimEnd()));
+      i = end + 1;
+    }
+  }
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      const { block, next } = readFence(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      blocks.push([
+        heading[2] ? `${heading[1]} ${heading[2].trim()}` : heading[1],
+      ]);
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      blocks.push(['---']);
+      i++;
+      continue;
+    }
+
+    if (isBlockStart(line)) {
+      // Adjacent lists alternate bullets so they stay separate lists
+      const bullet =
+        previousList && previousList.block === blocks[blocks.length - 1]
+          ? previousList.bullet === '-'
+            ? '*'
+            : '-'
+          : '-';
+      const { block, next } = readList(lines, i, bullet);
+      blocks.push(block);
+      previousList = { block, bullet };
+      i = next;
+      continue;
     }
 
+    // Indented code block
+    if (/^( {4}|\t)/.test(line)) {
+      const block = [];
+      while (
+        i < lines.length &&
+        (lines[i].trim() === '' || /^( {4}|\t)/.test(lines[i]))
+      ) {
+        block.push(lines[i].trimEnd());
+        i++;
+      }
+      while (block[block.length - 1] === '') {
+        block.pop();
+      }
+      blocks.push(block);
+      continue;
+    }
+
+    // Paragraph, keeping hard line breaks (two trailing spaces)
+    const block = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() !== '' &&
+      (block.length === 0 || !isBlockStart(lines[i]))
+    ) {
+      const hardBreak = / {2,}$/.test(lines[i]);
+      block.push(lines[i].trim() + (hardBreak ? '  ' : ''));
+      i++;
+    }
+    block[block.length - 1] = block[block.length - 1].trimEnd();
+    blocks.push(block);
+  }
+
+  return blocks.map((block) => block.join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * Format a markdown file in place.
+ * Throws on failure instead of exiting, so callers can handle errors.
+ */
+function formatWorklog(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  if (options.prettier) {
     const prettierConfig = path.join(__dirname, '../.prettierrc.js');
 
-    // Run prettier on the file
-    execSync(
-      `npx prettier --write --config "${prettierConfig}" "${filePath}"`,
-      {
-        stdio: 'inherit',
-      },
-    );
+    try {
+      execSync(
+        `npx prettier --write --config "${prettierConfig}" "${filePath}"`,
+        {
+          stdio: 'pipe',
+        },
+      );
+    } catch (error) {
+      throw new Error(
+        `Error formatting file with prettier: ${(error.stderr || error.message).toString().trim()}`,
+      );
+    }
 
-    console.log(`✅ Formatted: ${filePath}`);
-  } catch (error) {
-    console.error(`Error formatting file: ${error.message}`);
-    process.exit(1);
+    return { filePath, formatter: 'prettier' };
+  }
+
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const formatted = formatMarkdown(content);
+
+  if (formatted !== content) {
+    fs.writeFileSync(filePath, formatted, 'utf-8');
   }
+
+  return { filePath, formatter: 'built-in', changed: formatted !== content };
 }
 
 // Main
 if (require.main === module) {
-  const filePath = process.argv[2];
+  const args = process.argv.slice(2);
+  const usePrettier = args.includes('--prettier');
+  const filePath = args.find((arg) => arg !== '--prettier');
 
   if (!filePath) {
-    console.error('Usage: node format_worklog.cjs <file-path>');
+    console.error('Usage: node format_worklog.cjs [--prettier] <file-path>');
     process.exit(1);
   }
 
-  formatWorklog(path.resolve(filePath));
+  try {
+    formatWorklog(path.resolve(filePath), { prettier: usePrettier });
+    console.log(`✅ Formatted: ${path.resolve(filePath)}`);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 }
 
-module.exports = { formatWorklog };
+module.exports = { formatWorklog, formatMarkdown };
@@ -0,0 +1,528 @@
+#!/usr/bin/env node
+
+/**
+ * YAML frontmatter of task files: parse, update and serialize
+ *
+ * Supports the YAML subset task files use:
+ *   key: plain value              # trailing comments are ignored
+ *   key: 'single quoted'          # '' escapes a quote
+ *   key: "double quoted\n"        # backslash escapes
+ *   key: |                        # literal / folded (>) block scalars,
+ *     multi-line text             # with - / + chomping
+ *   key: [a, b]                   # flow and block sequences of scalars
+ *   key:
+ *     - a
+ *   key:                          # nested mappings
+ *     sub: value
+ *
+ * Values are read as strings (`~`, `null` and empty values as null).
+ * Serializing keeps the original lines of every untouched key, the key
+ * order, comments, the line endings and the markdown body; updated keys are
+ * written quoted when needed (`tracking_id: '#77'`, since `#` starts a
+ * comment). A plain value starting with `#` is still read as text, as
+ * written by older versions.
+ *
+ * Usage: node frontmatter.cjs <file> [--set <key>=<value>]... [--validate]
+ * Output: JSON object with the frontmatter (and the validation result)
+ *
+ * Examples:
+ *   node frontmatter.cjs tasks/new/PROJ-123_login.md --validate
+ *   node frontmatter.cjs tasks/new/PROJ-123_login.md --set status=working
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'assets', 'task_template.md');
+const KEY_LINE = /^([A-Za-z_][\w.-]*)[ \t]*:(?:[ \t]+(.*)|[ \t]*)$/;
+const NULL_VALUE = /^(~|null|Null|NULL)?$/;
+
+/**
+ * Remove a trailing ` # comment` from a plain value
+ */
+function stripComment(text) {
+  const match = text.match(/^(.*?)(?:\s+#.*)?$/);
+  return match[1].trim();
+}
+
+/**
+ * Fold quoted or plain multi-line text: line breaks become spaces, blank
+ * lines become newlines
+ */
+function foldLines(lines) {
+  let result = '';
+  let pending = '';
+
+  for (const line of lines.map((l) => l.trim())) {
+    if (line === '') {
+      pending += '\n';
+    } else {
+      result += (result && !pending ? ' ' : pending) + line;
+      pending = '';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a double-quoted scalar (with its quotes)
+ */
+function parseDoubleQuoted(text) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', '/': '/' };
+  const match = text.match(/^"((?:[^"\\]|\\.)*)"/s);
+  if (!match) {
+    throw new Error(`Unterminated double-quoted value: ${text}`);
+  }
+
+  return match[1].replace(/\\(u[0-9a-fA-F]{4}|.)/g, (escape, char) =>
+    char.length > 1
+      ? String.fromCharCode(parseInt(char.slice(1), 16))
+      : char in escapes
+        ? escapes[char]
+        : escape,
+  );
+}
+
+/**
+ * Parse a single-quoted scalar (with its quotes)
+ */
+function parseSingleQuoted(text) {
+  const match = text.match(/^'((?:[^']|'')*)'/s);
+  if (!match) {
+    throw new Error(`Unterminated single-quoted value: ${text}`);
+  }
+  return match[1].replace(/''/g, "'");
+}
+
+/**
+ * Parse a scalar, possibly spanning several lines
+ */
+function parseScalar(lines) {
+  const first = lines[0].trim();
+
+  if (first.startsWith('"')) {
+    return parseDoubleQuoted(foldLines(lines));
+  }
+  if (first.startsWith("'")) {
+    return parseSingleQuoted(foldLines(lines));
+  }
+
+  // Older task files wrote GitHub IDs unquoted (`tracking_id: #77`)
+  const value = first.startsWith('#')
+    ? foldLines(lines)
+    : foldLines(lines.map(stripComment));
+  return NULL_VALUE.test(value) ? null : value;
+}
+
+/**
+ * Parse a block scalar (`|`, `>`, with `-`/`+` chomping) from its
+ * indicator and indented lines
+ */
+function parseBlockScalar(indicator, lines) {
+  const indent = Math.min(
+    ...lines
+      .filter((line) => line.trim() !== '')
+      .map((line) => line.length - line.trimStart().length),
+  );
+  const content = lines.map((line) => line.slice(indent).trimEnd());
+
+  let text = indicator.startsWith('>')
+    ? foldLines(content)
+    : content.join('\n').replace(/\n+$/, '');
+  if (indicator.includes('+')) {
+    const trailing = lines.length - lines.findLastIndex((l) => l.trim()) - 1;
+    text += '\n'.repeat(trailing + 1);
+  } else if (!indicator.includes('-')) {
+    text += '\n';
+  }
+
+  return text;
+}
+
+/**
+ * Remove the common indentation of lines
+ */
+function dedent(lines) {
+  const indent = Math.min(
+    ...lines
+      .filter((line) => line.trim() !== '')
+      .map((line) => line.length - line.trimStart().length),
+  );
+  return lines.map((line) => line.slice(indent));
+}
+
+/**
+ * Parse the value of a key from the text after `key:` and its
+ * continuation lines
+ */
+function parseValue(rest, continuation) {
+  const text = (rest || '').trim();
+  const lines = continuation.filter((line) => line.trim() !== '');
+
+  if (/^[|>][-+0-9]*(\s+#.*)?$/.test(text)) {
+    return continuation.length
+      ? parseBlockScalar(text.split(/\s/)[0], continuation)
+      : '';
+  }
+
+  if (text.startsWith('[')) {
+    const inner = foldLines([text, ...continuation]).replace(/^\[|\]$/g, '');
+    return inner.trim()
+      ? inner.split(',').map((item) => parseScalar([item]))
+      : [];
+  }
+
+  if (!text && lines.length > 0) {
+    const items = dedent(continuation);
+    if (items[0].startsWith('- ') || items[0] === '-') {
+      return parseSequence(items);
+    }
+    if (KEY_LINE.test(items[0])) {
+      return toData(parseItems(items));
+    }
+  }
+
+  return parseScalar([text, ...continuation]);
+}
+
+/**
+ * Parse a block sequence of scalars (`- item` lines)
+ */
+function parseSequence(lines) {
+  const values = [];
+
+  for (const line of lines) {
+    if (line.startsWith('-')) {
+      values.push([line.replace(/^-\s?/, '')]);
+    } else if (values.length > 0) {
+      values[values.length - 1].push(line);
+    }
+  }
+
+  return values.map((item) => parseScalar(item));
+}
+
+/**
+ * Split frontmatter lines into items: { key, value, lines } for keys and
+ * { key: null, lines } for comments and blank lines
+ */
+function parseItems(lines) {
+  const items = [];
+  let current = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const keyMatch = line.match(KEY_LINE);
+
+    // Indented lines, and unindented `- item` lines, continue the key;
+    // blank lines too when more of its lines follow
+    if (current && !keyMatch) {
+      const next = lines.slice(i).find((l) => l.trim() !== '');
+      const continues = (l) => /^[ \t]/.test(l) || /^-(\s|$)/.test(l);
+      if (line.trim() === '' ? next && continues(next) : continues(line)) {
+        current.lines.push(line);
+        continue;
+      }
+    }
+
+    if (keyMatch) {
+      current = { key: keyMatch[1], rest: keyMatch[2], lines: [line] };
+      items.push(current);
+    } else {
+      current = null;
+      items.push({ key: null, lines: [line] });
+    }
+  }
+
+  for (const item of items) {
+    if (item.key) {
+      item.value = parseValue(item.rest, item.lines.slice(1));
+      delete item.rest;
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Get the key/value object of frontmatter items
+ */
+function toData(items) {
+  const data = {};
+  for (const item of items) {
+    if (item.key) {
+      data[item.key] = item.value;
+    }
+  }
+  return data;
+}
+
+/**
+ * Parse a markdown file's content into a frontmatter document:
+ * { bom, eol, hasFrontmatter, items, closing, body, data }
+ */
+function parseFrontmatter(content) {
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const text = content.slice(bom.length);
+  // Lines alternate with their line breaks: [line, eol, line, eol, ...]
+  const pieces = text.split(/(\r?\n)/);
+  const eol = pieces[1] || '\n';
+  const doc = {
+    bom,
+    eol,
+    hasFrontmatter: false,
+    items: [],
+    closing: '---',
+    body: text,
+    data: {},
+  };
+
+  if (pieces[0].trimEnd() !== '---') {
+    return doc;
+  }
+
+  for (let i = 2; i < pieces.length; i += 2) {
+    const line = pieces[i].trimEnd();
+    if (line === '---' || line === '...') {
+      doc.hasFrontmatter = true;
+      doc.items = parseItems(
+        pieces.filter((piece, index) => index % 2 === 0).slice(1, i / 2),
+      );
+      doc.closing = pieces[i];
+      doc.body = pieces.slice(i + 1).join('');
+      doc.data = toData(doc.items);
+      break;
+    }
+  }
+
+  return doc;
+}
+
+/**
+ * Check whether a string must be quoted to be read back as the same string
+ */
+function needsQuotes(value) {
+  return (
+    value === '' ||
+    value !== value.trim() ||
+    /^([-?:](\s|$)|[,[\]{}#&*!|>'"%@`])/.test(value) ||
+    /:(\s|$)|\s#/.test(value) ||
+    /^(~|null|true|false|yes|no|on|off)$/i.test(value)
+  );
+}
+
+/**
+ * Format a scalar for a `key: value` line
+ */
+function formatScalar(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return needsQuotes(text) ? `'${text.replace(/'/g, "''")}'` : text;
+}
+
+/**
+ * Format a key and its value as frontmatter lines
+ */
+function formatField(key, value, indent = '') {
+  if (Array.isArray(value)) {
+    return value.length === 0
+      ? [`${indent}${key}: []`]
+      : [
+          `${indent}${key}:`,
+          ...value.map((item) => `${indent}  - ${formatScalar(item)}`),
+        ];
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return [
+      `${indent}${key}:`,
+      ...Object.entries(value).flatMap(([subKey, subValue]) =>
+        formatField(subKey, subValue, `${indent}  `),
+      ),
+    ];
+  }
+
+  if (typeof value === 'string' && value.includes('\n')) {
+    const trailing = value.match(/\n*$/)[0].length;
+    const chomping = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    return [
+      `${indent}${key}: |${chomping}`,
+      ...value
+        .replace(/\n$/, '')
+        .split('\n')
+        .map((line) => (line ? `${indent}  ${line}` : '')),
+    ];
+  }
+
+  const scalar = formatScalar(value);
+  return [scalar ? `${indent}${key}: ${scalar}` : `${indent}${key}:`];
+}
+
+/**
+ * Get a frontmatter value (undefined when the key is missing)
+ */
+function getField(doc, key) {
+  return doc.data[key];
+}
+
+/**
+ * Set a frontmatter value in place, keeping the key's position; new keys
+ * are added at the end. Creates the frontmatter if the file has none.
+ */
+function setField(doc, key, value) {
+  const lines = formatField(key, value);
+  const item = doc.items.find((i) => i.key === key);
+
+  if (item) {
+    item.value = value;
+    item.lines = lines;
+  } else {
+    // Keep trailing comments and blank lines after the new key
+    let index = doc.items.length;
+    while (index > 0 && !doc.items[index - 1].key) {
+      index--;
+    }
+    doc.items.splice(index, 0, { key, value, lines });
+  }
+
+  if (!doc.hasFrontmatter) {
+    doc.hasFrontmatter = true;
+    doc.closing = '---';
+    doc.body = doc.eol + doc.body;
+  }
+
+  doc.data = toData(doc.items);
+  return doc;
+}
+
+/**
+ * Remove a key from the frontmatter
+ */
+function removeField(doc, key) {
+  doc.items = doc.items.filter((item) => item.key !== key);
+  doc.data = toData(doc.items);
+  return doc;
+}
+
+/**
+ * Serialize a frontmatter document back to the file content
+ */
+function serializeFrontmatter(doc) {
+  if (!doc.hasFrontmatter) {
+    return doc.bom + doc.body;
+  }
+
+  const lines = ['---', ...doc.items.flatMap((item) => item.lines)];
+  return doc.bom + [...lines, doc.closing].join(doc.eol) + doc.body;
+}
+
+/**
+ * Read a file's frontmatter document
+ */
+function loadFrontmatter(file) {
+  return parseFrontmatter(fs.readFileSync(file, 'utf-8'));
+}
+
+/**
+ * Write a frontmatter document to a file
+ */
+function saveFrontmatter(file, doc) {
+  fs.writeFileSync(file, serializeFrontmatter(doc), 'utf-8');
+}
+
+/**
+ * Get the frontmatter fields declared by the task template
+ */
+function getTemplateFields() {
+  return parseFrontmatter(fs.readFileSync(TEMPLATE_PATH, 'utf-8'))
+    .items.filter((item) => item.key)
+    .map((item) => item.key);
+}
+
+/**
+ * Validate frontmatter data against the task template fields:
+ * returns { valid, missing, unknown }. Fields in `options.optional`
+ * (e.g. `archived`) are not reported as unknown.
+ */
+function validateFrontmatter(data, options = {}) {
+  const fields = options.fields || getTemplateFields();
+  const optional = options.optional || [];
+
+  const missing = fields.filter(
+    (field) =>
+      data[field] === undefined || data[field] === null || data[field] === '',
+  );
+  const unknown = Object.keys(data).filter(
+    (key) => !fields.includes(key) && !optional.includes(key),
+  );
+
+  return { valid: missing.length === 0, missing, unknown };
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const updates = [];
+  let file = null;
+  let validate = false;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--set' && i + 1 < args.length) {
+      updates.push(args[++i]);
+    } else if (args[i] === '--validate') {
+      validate = true;
+    } else {
+      file = args[i];
+    }
+  }
+
+  if (!file) {
+    console.error(
+      'Usage: node frontmatter.cjs <file> [--set <key>=<value>]... [--validate]',
+    );
+    process.exit(1);
+  }
+
+  try {
+    const filePath = path.resolve(file);
+    const doc = loadFrontmatter(filePath);
+
+    for (const update of updates) {
+      const separator = update.indexOf('=');
+      if (separator < 1) {
+        throw new Error(`Invalid --set "${update}" (expected key=value)`);
+      }
+      setField(doc, update.slice(0, separator), update.slice(separator + 1));
+    }
+    if (updates.length > 0) {
+      saveFrontmatter(filePath, doc);
+    }
+
+    const output = { file: filePath, frontmatter: doc.data };
+    if (validate) {
+      output.validation = validateFrontmatter(doc.data, {
+        optional: ['archived', 'reopened', 'blocker'],
+      });
+    }
+    console.log(JSON.stringify(output, null, 2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseFrontmatter,
+  serializeFrontmatter,
+  getField,
+  setField,
+  removeField,
+  loadFrontmatter,
+  saveFrontmatter,
+  getTemplateFields,
+  validateFrontmatter,
+};
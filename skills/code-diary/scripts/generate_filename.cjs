@@ -10,8 +10,14 @@
  *
  *   node generate_filename.cjs --tracking-id PROJ-123 "Dashboard Automations Triggers"
  *   // Output: PROJ-123_dashboard-automations-triggers
+ *
+ *   node generate_filename.cjs --tracking-id "#45" "Fix login"
+ *   // Output: gh-45_fix-login
  */
 
+const { isTrackingId, toFileId } = require('./tracking_id.cjs');
+const { today, parseDate } = require('./dates.cjs');
+
 function toKebabCase(str) {
   return str
     .trim()
@@ -22,6 +28,11 @@ function toKebabCase(str) {
     .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
 }
 
+function generateDateId(dateStr = today()) {
+  // Date-based ID for tasks without a tracking ID: YYYYMMDD
+  return parseDate(dateStr).replace(/-/g, '');
+}
+
 function generateFilename(summary, trackingId = null) {
   const kebabSummary = toKebabCase(summary);
 
@@ -29,12 +40,12 @@ function generateFilename(summary, trackingId = null) {
   const truncatedSummary = kebabSummary.slice(0, 50).replace(/-$/, '');
 
   if (trackingId) {
-    return `${trackingId}_${truncatedSummary}`;
+    if (!isTrackingId(trackingId)) {
+      throw new Error(`Invalid tracking ID: ${trackingId}`);
+    }
+    return `${toFileId(trackingId)}_${truncatedSummary}`;
   } else {
-    // Generate date-based ID: YYYYMMDD
-    const now = new Date();
-    const dateId = now.toISOString().slice(0, 10).replace(/-/g, '');
-    return `${dateId}_${truncatedSummary}`;
+    return `${generateDateId()}_${truncatedSummary}`;
   }
 }
 
@@ -63,8 +74,12 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  const filename = generateFilename(summary, trackingId);
-  console.log(filename);
+  try {
+    console.log(generateFilename(summary, trackingId));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
 }
 
-module.exports = { generateFilename, toKebabCase };
+module.exports = { generateFilename, generateDateId, toKebabCase };
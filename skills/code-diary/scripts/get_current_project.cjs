@@ -4,7 +4,8 @@
  * Detect current project from working directory
  *
  * Looks for project configuration based on current directory name.
- * Falls back to checking git remote URL for project identification.
+ * Falls back to checking git remote URL for project identification, then to
+ * the projects listing the directory in their `repositories`.
  *
  * Usage: node get_current_project.cjs [working-directory]
  *
@@ -19,7 +20,7 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const { getWorklogsPath } = require('./config.cjs');
+const { expandHome, getWorklogsPath, loadConfig } = require('./config.cjs');
 
 function getProjectNameFromPath(dirPath) {
   // Get the directory name from the path
@@ -73,6 +74,57 @@ function findProjectConfig(projectName) {
   return null;
 }
 
+function listProjects() {
+  const worklogsPath = getWorklogsPath();
+
+  if (!fs.existsSync(worklogsPath)) {
+    return [];
+  }
+
+  return fs.readdirSync(worklogsPath).filter((name) => {
+    const configPath = path.join(worklogsPath, name, 'project.json');
+    return fs.existsSync(configPath);
+  });
+}
+
+/**
+ * Get the repositories of a project from `repositories` in project.json:
+ * paths (`~` expands to the home directory, relative paths are resolved
+ * from the project directory) or { path, name } objects.
+ * Returns [{ name, path }]; the name defaults to the directory name.
+ */
+function getProjectRepositories(project) {
+  const repositories = project.config.repositories || [];
+
+  return repositories.map((repository) => {
+    const { path: repoPath, name } =
+      typeof repository === 'string' ? { path: repository } : repository;
+    const resolved = path.resolve(project.projectPath, expandHome(repoPath));
+    return { name: name || path.basename(resolved), path: resolved };
+  });
+}
+
+/**
+ * Find the project listing a directory (or one of its parents) in its
+ * `repositories`
+ */
+function findProjectByRepository(dirPath) {
+  const dir = path.resolve(dirPath);
+
+  for (const name of listProjects()) {
+    const project = findProjectConfig(name);
+    const listed = getProjectRepositories(project).some(
+      (repository) =>
+        dir === repository.path || dir.startsWith(repository.path + path.sep),
+    );
+    if (listed) {
+      return project;
+    }
+  }
+
+  return null;
+}
+
 function getCurrentProject(workingDir = null) {
   const cwd = workingDir || process.cwd();
 
@@ -93,25 +145,55 @@ function getCurrentProject(workingDir = null) {
     }
   }
 
-  // Strategy 3: List available projects and suggest
-  const worklogsPath = getWorklogsPath();
-  let availableProjects = [];
-
-  if (fs.existsSync(worklogsPath)) {
-    availableProjects = fs.readdirSync(worklogsPath).filter((name) => {
-      const configPath = path.join(worklogsPath, name, 'project.json');
-      return fs.existsSync(configPath);
-    });
+  // Strategy 3: Find a project listing this repository
+  projectConfig = findProjectByRepository(cwd);
+  if (projectConfig) {
+    return projectConfig;
   }
 
+  // Strategy 4: List available projects and suggest
   return {
     error: 'Project not found',
     cwd: cwd,
     triedNames: [dirName, gitProjectName].filter(Boolean),
-    availableProjects: availableProjects,
+    availableProjects: listProjects(),
   };
 }
 
+/**
+ * Resolve a project by name, or detect it from the working directory,
+ * falling back to the configured `defaultProject`.
+ * Throws when no project can be found.
+ */
+function resolveProject(options = {}) {
+  if (options.project) {
+    const project = findProjectConfig(options.project);
+    if (!project) {
+      throw new Error(`Project "${options.project}" not found`);
+    }
+    return project;
+  }
+
+  const project = getCurrentProject(options.cwd);
+  const { defaultProject } = loadConfig();
+  if (project.error && defaultProject) {
+    const fallback = findProjectConfig(defaultProject);
+    if (fallback) {
+      return fallback;
+    }
+  }
+
+  if (project.error) {
+    const available = project.availableProjects.length
+      ? ` Available projects: ${project.availableProjects.join(', ')}`
+      : '';
+    throw new Error(
+      `${project.error} (tried: ${project.triedNames.join(', ')}).${available}`,
+    );
+  }
+  return project;
+}
+
 // Main
 if (require.main === module) {
   const workingDir = process.argv[2];
@@ -149,4 +231,9 @@ module.exports = {
   getCurrentProject,
   getProjectNameFromPath,
   getProjectNameFromGit,
+  findProjectConfig,
+  resolveProject,
+  listProjects,
+  getProjectRepositories,
+  findProjectByRepository,
 };
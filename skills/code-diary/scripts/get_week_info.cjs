@@ -2,79 +2,85 @@
 
 /**
  * Calculate week number, date range, and determine which week a date belongs to
- * Uses ISO week date system (week starts on Monday)
+ * Weeks start on Monday (ISO 8601) or Sunday, from the `weekStart` config.
  *
- * Usage: node get_week_info.cjs [date]
+ * A week is identified by its year and number (`weekKey`, e.g. 2026-W53):
+ * with Monday weeks, 2026-12-31 and 2027-01-01 are both in week 53 of 2026.
+ * Days are filed in the worklog of their calendar month, so a week spanning
+ * two months has a section in both files. Its "Last week:" / "This week:"
+ * lists live in the month containing the week's fourth day (`summaryMonth`;
+ * the Thursday for Monday weeks, which also decides the ISO year).
+ *
+ * Usage: node get_week_info.cjs [date] [--tz <timezone>] [--week-start <monday|sunday>]
  *
  * Examples:
- *   node get_week_info.cjs              # Current date
+ *   node get_week_info.cjs              # Today in the configured timezone
  *   node get_week_info.cjs 2026-01-28   # Specific date
  */
 
-function getWeekNumber(date) {
-  // Copy date so we don't modify original
-  const d = new Date(
-    Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()),
-  );
-
-  // Set to nearest Thursday: current date + 4 - current day number
-  // Make Sunday's day number 7
-  const dayNum = d.getUTCDay() || 7;
-  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
-
-  // Get first day of year
-  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
-
-  // Calculate full weeks to nearest Thursday
-  const weekNum = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
-
-  return weekNum;
+const { loadConfig } = require('./config.cjs');
+const {
+  resolveTimezone,
+  resolveWeekStart,
+  today,
+  toDateString,
+  parseDate,
+  getWeek,
+  formatLocaleDate,
+} = require('./dates.cjs');
+
+function formatWeekKey(weekYear, week) {
+  return `${weekYear}-W${String(week).padStart(2, '0')}`;
 }
 
-function getWeekRange(date) {
-  // Get the Monday of the week
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-  const monday = new Date(d.setDate(diff));
-
-  // Get the Sunday of the week
-  const sunday = new Date(monday);
-  sunday.setDate(monday.getDate() + 6);
-
-  return {
-    start: monday.toISOString().slice(0, 10),
-    end: sunday.toISOString().slice(0, 10),
-  };
+function formatWeekHeader(weekYear, week) {
+  return `${weekYear} Week ${week}`;
 }
 
-function getWeekInfo(dateStr = null) {
-  const date = dateStr ? new Date(dateStr) : new Date();
+/**
+ * Get the week number of a date (a Date or YYYY-MM-DD), without the week
+ * year that getWeek also returns
+ */
+function getWeekNumber(date, weekStart = null) {
+  const dateStr = date instanceof Date ? toDateString(date) : date;
+  return getWeek(dateStr, weekStart).week;
+}
 
-  // Validate date
-  if (isNaN(date.getTime())) {
-    throw new Error(`Invalid date: ${dateStr}`);
-  }
+/**
+ * Get the first and last day of the week of a date (a Date or YYYY-MM-DD)
+ */
+function getWeekRange(date, weekStart = null) {
+  const dateStr = date instanceof Date ? toDateString(date) : date;
+  const { start, end } = getWeek(dateStr, weekStart);
+  return { start, end };
+}
 
-  const weekNum = getWeekNumber(date);
-  const weekRange = getWeekRange(date);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
+function getWeekInfo(dateStr = null, options = {}) {
+  const date = dateStr
+    ? parseDate(dateStr)
+    : today(resolveTimezone(options.tz));
+  const weekStart = resolveWeekStart(options.weekStart);
+  const { weekYear, week, start, end, middle } = getWeek(date, weekStart);
+  const { locale } = loadConfig();
 
   return {
-    date: date.toISOString().slice(0, 10),
-    year: year,
-    month: `${year}-${month}`,
-    weekNumber: weekNum,
-    weekHeader: `Week ${weekNum}`,
-    weekRange: weekRange,
-    dailyHeader: date.toLocaleDateString('en-US', {
+    date: date,
+    year: Number(date.slice(0, 4)),
+    month: date.slice(0, 7),
+    weekYear: weekYear,
+    weekNumber: week,
+    weekStart: weekStart,
+    weekKey: formatWeekKey(weekYear, week),
+    weekHeader: formatWeekHeader(weekYear, week),
+    summaryMonth: middle.slice(0, 7),
+    weekRange: { start, end },
+    dailyHeader: formatLocaleDate(date, locale, {
       weekday: 'short',
       month: 'short',
       day: 'numeric',
       year: 'numeric',
     }),
-    monthHeader: date.toLocaleDateString('en-US', {
+    monthHeader: formatLocaleDate(date, locale, {
       month: 'long',
       year: 'numeric',
     }),
@@ -83,10 +89,22 @@ function getWeekInfo(dateStr = null) {
 
 // Main
 if (require.main === module) {
-  const dateStr = process.argv[2];
+  const args = process.argv.slice(2);
+  const options = {};
+  let dateStr = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--tz' && i + 1 < args.length) {
+      options.tz = args[++i];
+    } else if (args[i] === '--week-start' && i + 1 < args.length) {
+      options.weekStart = args[++i];
+    } else {
+      dateStr = args[i];
+    }
+  }
 
   try {
-    const info = getWeekInfo(dateStr);
+    const info = getWeekInfo(dateStr, options);
     console.log(JSON.stringify(info, null, 2));
   } catch (error) {
     console.error(`Error: ${error.message}`);
@@ -94,4 +112,10 @@ if (require.main === module) {
   }
 }
 
-module.exports = { getWeekInfo, getWeekNumber, getWeekRange };
+module.exports = {
+  getWeekInfo,
+  getWeekNumber,
+  getWeekRange,
+  formatWeekKey,
+  formatWeekHeader,
+};
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Full history of a tracking ID across all worklogs
+ *
+ * Collects every day the tracking ID was logged (oldest first) with its
+ * work items and time, the dates its summary changed, its task file
+ * (frontmatter and Notes) and the commits logged for it by log_commits.cjs.
+ *
+ * Usage: node history.cjs <tracking-id> [--json]
+ * Output: Readable timeline, or JSON with --json
+ *
+ * Examples:
+ *   node history.cjs PROJ-123
+ *   node history.cjs "#45" --json
+ */
+
+const path = require('path');
+const {
+  findProjectConfig,
+  listProjects,
+} = require('./get_current_project.cjs');
+const { listTasks } = require('./find_task.cjs');
+const { loadFrontmatter } = require('./frontmatter.cjs');
+const { isTrackingId, trackingIdKey } = require('./tracking_id.cjs');
+const { listAllEntries } = require('./worklog_document.cjs');
+const { loadCommitIndex } = require('./commit_index.cjs');
+const { formatDuration } = require('./durations.cjs');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'assets', 'task_template.md');
+
+/**
+ * Get the text of a `## <heading>` section of a markdown body
+ */
+function getSection(body, heading) {
+  const lines = body.split(/\r?\n/);
+  const start = lines.findIndex(
+    (line) => line.trim().toLowerCase() === `## ${heading.toLowerCase()}`,
+  );
+  if (start === -1) {
+    return '';
+  }
+
+  const end = lines.findIndex((line, i) => i > start && /^##?\s/.test(line));
+  return lines
+    .slice(start + 1, end === -1 ? lines.length : end)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Get the Notes of a task, without the template's placeholder text
+ */
+function getTaskNotes(body) {
+  const placeholder = getSection(
+    loadFrontmatter(TEMPLATE_PATH).body,
+    'Notes',
+  ).split('\n');
+  return getSection(body, 'Notes')
+    .split('\n')
+    .filter((line) => !placeholder.includes(line))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Find the task files of a tracking ID in every project
+ */
+function findTasks(trackingId) {
+  const key = trackingIdKey(trackingId);
+  const tasks = [];
+
+  for (const name of listProjects()) {
+    for (const task of listTasks(findProjectConfig(name).tasksPath)) {
+      if (task.trackingId && trackingIdKey(task.trackingId) === key) {
+        const { data, body } = loadFrontmatter(task.path);
+        tasks.push({
+          project: name,
+          status: task.status,
+          path: task.path,
+          frontmatter: data,
+          notes: getTaskNotes(body),
+        });
+      }
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Get the commits logged for a tracking ID from the commit index,
+ * oldest first
+ */
+function findCommits(trackingId) {
+  const key = trackingIdKey(trackingId);
+
+  return Object.entries(loadCommitIndex().commits)
+    .map(([sha, record]) => ({
+      sha,
+      repo: record.repo,
+      time: record.time,
+      date: record.date,
+      items: record.entries
+        .filter((entry) => trackingIdKey(entry.trackingId) === key)
+        .map((entry) => entry.item),
+    }))
+    .filter((commit) => commit.items.length > 0)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Build the history of a tracking ID:
+ * { trackingId, summary, tasks, summaryChanges, timeline, commits, totals }
+ */
+function getHistory(trackingId) {
+  if (!trackingId || !isTrackingId(trackingId)) {
+    throw new Error(
+      `Invalid tracking ID "${trackingId || ''}" (expected e.g. PROJ-123, #45 or 20260128)`,
+    );
+  }
+
+  const key = trackingIdKey(trackingId);
+  const entries = listAllEntries().filter(
+    (entry) => trackingIdKey(entry.trackingId) === key,
+  );
+  const commits = findCommits(trackingId);
+  const tasks = findTasks(trackingId);
+
+  // One timeline day per date, with the commits logged that day
+  const days = new Map();
+  const summaryChanges = [];
+  let summary = null;
+
+  for (const entry of entries) {
+    if (summary !== null && entry.summary !== summary) {
+      summaryChanges.push({
+        date: entry.date,
+        from: summary,
+        to: entry.summary,
+      });
+    }
+    summary = entry.summary;
+
+    const day = days.get(entry.date) || {
+      date: entry.date,
+      summary: entry.summary,
+      workItems: [],
+      time: null,
+      commits: [],
+    };
+    day.summary = entry.summary;
+    day.workItems.push(...entry.workItems);
+    if (entry.time) {
+      day.time = (day.time || 0) + entry.time;
+    }
+    days.set(entry.date, day);
+  }
+
+  for (const commit of commits) {
+    const day = days.get(commit.date) || {
+      date: commit.date,
+      summary: null,
+      workItems: [],
+      time: null,
+      commits: [],
+    };
+    day.commits.push({
+      sha: commit.sha,
+      repo: commit.repo,
+      items: commit.items,
+    });
+    days.set(commit.date, day);
+  }
+
+  const timeline = [...days.values()].sort((a, b) =>
+    a.date.localeCompare(b.date),
+  );
+  if (timeline.length === 0 && tasks.length === 0) {
+    throw new Error(`No worklog entries or task found for ${trackingId}`);
+  }
+
+  const minutes = timeline.reduce((sum, day) => sum + (day.time || 0), 0);
+  const logged = timeline.filter((day) => day.summary !== null);
+
+  return {
+    trackingId: entries.length > 0 ? entries[0].trackingId : trackingId,
+    summary:
+      summary ||
+      (tasks.length > 0 ? tasks[0].frontmatter.summary || null : null),
+    tasks,
+    summaryChanges,
+    timeline,
+    commits,
+    totals: {
+      days: logged.length,
+      firstDate: logged.length > 0 ? logged[0].date : null,
+      lastDate: logged.length > 0 ? logged[logged.length - 1].date : null,
+      time: minutes > 0 ? formatDuration(minutes) : null,
+      commits: commits.length,
+    },
+  };
+}
+
+/**
+ * Format a history as readable text
+ */
+function formatHistory(history) {
+  const { totals } = history;
+  const lines = [`${history.trackingId}: ${history.summary || ''}`.trim()];
+
+  if (totals.days > 0) {
+    lines.push(
+      `Logged on ${totals.days} day(s), ${totals.firstDate} to ${totals.lastDate}` +
+        (totals.time ? `, ${totals.time}` : '') +
+        (totals.commits ? `, ${totals.commits} commit(s)` : ''),
+    );
+  } else {
+    lines.push('Never logged');
+  }
+
+  for (const task of history.tasks) {
+    const { frontmatter } = task;
+    lines.push('', `Task (${task.project}, ${task.status}): ${task.path}`);
+    for (const [field, value] of Object.entries(frontmatter)) {
+      if (!['tracking_id', 'summary', 'status'].includes(field)) {
+        lines.push(
+          `  ${field}: ${Array.isArray(value) ? value.join(', ') : value}`,
+        );
+      }
+    }
+    if (task.notes) {
+      lines.push('  Notes:', ...task.notes.split('\n').map((l) => `    ${l}`));
+    }
+  }
+
+  if (history.summaryChanges.length > 0) {
+    lines.push('', 'Summary changes:');
+    for (const change of history.summaryChanges) {
+      lines.push(`  ${change.date}: "${change.from}" -> "${change.to}"`);
+    }
+  }
+
+  if (history.timeline.length > 0) {
+    lines.push('', 'Timeline:');
+  }
+  for (const day of history.timeline) {
+    lines.push(
+      `  ${day.date}${day.time ? ` [${formatDuration(day.time)}]` : ''}`,
+    );
+    // Work items logged from commits show their commits (several when
+    // commits of the same type were merged into one item)
+    const shas = new Map();
+    for (const commit of day.commits) {
+      for (const item of commit.items) {
+        shas.set(item, [...(shas.get(item) || []), commit.sha.slice(0, 7)]);
+      }
+    }
+    for (const item of day.workItems) {
+      lines.push(
+        `    - ${item}${shas.has(item) ? ` (${shas.get(item).join(', ')})` : ''}`,
+      );
+    }
+    const removed = new Set();
+    for (const commit of day.commits) {
+      for (const item of commit.items) {
+        if (!day.workItems.includes(item) && !removed.has(item)) {
+          removed.add(item);
+          lines.push(
+            `    * ${item} (${shas.get(item).join(', ')}, ${path.basename(commit.repo)})`,
+          );
+        }
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const json = args.includes('--json');
+  const trackingId = args.find((arg) => arg !== '--json');
+
+  if (!trackingId) {
+    console.error('Usage: node history.cjs <tracking-id> [--json]');
+    process.exit(1);
+  }
+
+  try {
+    const history = getHistory(trackingId);
+    console.log(
+      json ? JSON.stringify(history, null, 2) : formatHistory(history),
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { getTaskNotes, getHistory, formatHistory };
@@ -21,6 +21,7 @@ const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
 const { getWorklogsPath } = require('./config.cjs');
+const { getTaskStatuses } = require('./task_lifecycle.cjs');
 
 function autoDetectSettings(cwd = process.cwd()) {
   const settings = {
@@ -84,9 +85,9 @@ function initProject(projectName, options = {}) {
   }
 
   // Create directory structure
-  fs.mkdirSync(path.join(tasksPath, 'new'), { recursive: true });
-  fs.mkdirSync(path.join(tasksPath, 'working'), { recursive: true });
-  fs.mkdirSync(path.join(tasksPath, 'archived'), { recursive: true });
+  for (const status of getTaskStatuses()) {
+    fs.mkdirSync(path.join(tasksPath, status), { recursive: true });
+  }
 
   // Create global logs directory if it doesn't exist
   const logsPath = path.join(worklogsRoot, 'logs');
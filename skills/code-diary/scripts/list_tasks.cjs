@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+/**
+ * Task dashboard: every task of every project, with its age and last
+ * worklog activity
+ *
+ * A task's last activity is the last date its tracking ID appears in
+ * `logs/*.md` (or its creation date if it was never logged). Working tasks
+ * without activity for more than --stale-days are flagged `stale`; new tasks
+ * without activity for more than --untouched-days are flagged `untouched`.
+ *
+ * Usage: node list_tasks.cjs [options]
+ *
+ * Options:
+ *   --project <name>          Only this project (default: all projects)
+ *   --status <status>         Only tasks in this status (repeatable, or
+ *                             comma-separated; `all` includes archived)
+ *   --group-by <field>        status, project or none (default: status)
+ *   --sort <field>            activity (least recent first), age (oldest
+ *                             first) or id (default: activity)
+ *   --stale-days <n>          Days before a working task is stale (default: 7)
+ *   --untouched-days <n>      Days before a new task is untouched (default: 14)
+ *   --tz <timezone>           Timezone for today (default: config, then system)
+ *   --json                    Output JSON instead of a table
+ *
+ * Examples:
+ *   node list_tasks.cjs
+ *   node list_tasks.cjs --project my-project --group-by none --sort age
+ *   node list_tasks.cjs --status all --json
+ */
+
+const {
+  findProjectConfig,
+  listProjects,
+} = require('./get_current_project.cjs');
+const { listTasks } = require('./find_task.cjs');
+const {
+  ARCHIVED_STATUS,
+  INITIAL_STATUS,
+  getTaskStatuses,
+  loadProjectConfig,
+} = require('./task_lifecycle.cjs');
+const { trackingIdKey } = require('./tracking_id.cjs');
+const { listAllEntries } = require('./worklog_document.cjs');
+const { today, parseDate } = require('./dates.cjs');
+
+const GROUP_BY = ['status', 'project', 'none'];
+const SORT_BY = ['activity', 'age', 'id'];
+const SUMMARY_WIDTH = 50;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    project: null,
+    statuses: null,
+    groupBy: 'status',
+    sort: 'activity',
+    staleDays: 7,
+    untouchedDays: 14,
+    tz: null,
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--status' && i + 1 < argv.length) {
+      args.statuses = (args.statuses || []).concat(
+        argv[++i].split(',').map((s) => s.trim()),
+      );
+    } else if (arg === '--group-by' && i + 1 < argv.length) {
+      args.groupBy = argv[++i];
+    } else if (arg === '--sort' && i + 1 < argv.length) {
+      args.sort = argv[++i];
+    } else if (arg === '--stale-days' && i + 1 < argv.length) {
+      args.staleDays = Number(argv[++i]);
+    } else if (arg === '--untouched-days' && i + 1 < argv.length) {
+      args.untouchedDays = Number(argv[++i]);
+    } else if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Days from one date to another (YYYY-MM-DD)
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+/**
+ * Get the last worklog date of every tracking ID, by tracking ID key
+ */
+function getLastLoggedDates() {
+  const dates = new Map();
+  for (const entry of listAllEntries()) {
+    dates.set(trackingIdKey(entry.trackingId), entry.date);
+  }
+  return dates;
+}
+
+/**
+ * Get the creation date (YYYY-MM-DD) of a task, or null if unknown
+ */
+function getCreatedDate(created) {
+  try {
+    return created ? parseDate(created.slice(0, 10)) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the dashboard rows of a project's tasks, adding the task files that
+ * can't be read to `skipped`
+ */
+function getProjectRows(project, lastLogged, options, skipped) {
+  const available = getTaskStatuses(loadProjectConfig(project.tasksPath));
+  const statuses = options.statuses
+    ? available.filter(
+        (status) =>
+          options.statuses.includes('all') || options.statuses.includes(status),
+      )
+    : available.filter((status) => status !== ARCHIVED_STATUS);
+
+  const invalid = [];
+  const rows = listTasks(project.tasksPath, statuses, {
+    skipped: invalid,
+  }).map((task) => {
+    const created = getCreatedDate(task.created);
+    const logged = task.trackingId
+      ? lastLogged.get(trackingIdKey(task.trackingId)) || null
+      : null;
+    const lastActivity = [created, logged].filter(Boolean).sort().pop();
+    const idleDays = lastActivity
+      ? daysBetween(lastActivity, options.today)
+      : null;
+
+    let flag = null;
+    if (idleDays !== null && task.status === 'working') {
+      flag = idleDays > options.staleDays ? 'stale' : null;
+    } else if (idleDays !== null && task.status === INITIAL_STATUS) {
+      flag = idleDays > options.untouchedDays ? 'untouched' : null;
+    }
+
+    return {
+      project: project.name,
+      trackingId: task.trackingId,
+      summary: task.summary,
+      status: task.status,
+      statusIndex: available.indexOf(task.status),
+      branch: task.branch,
+      created: task.created,
+      ageDays: created ? daysBetween(created, options.today) : null,
+      lastLogged: logged,
+      idleDays,
+      flag,
+      path: task.path,
+    };
+  });
+
+  for (const file of invalid) {
+    skipped.push({ project: project.name, ...file });
+  }
+
+  return rows;
+}
+
+/**
+ * Compare rows for a sort field; unknown values sort last
+ */
+function compareRows(sort) {
+  const byNumber = (key) => (a, b) =>
+    (b[key] === null ? -Infinity : b[key]) -
+    (a[key] === null ? -Infinity : a[key]);
+  const byId = (a, b) =>
+    (a.trackingId || a.path).localeCompare(b.trackingId || b.path);
+
+  if (sort === 'activity') {
+    return (a, b) => byNumber('idleDays')(a, b) || byId(a, b);
+  }
+  if (sort === 'age') {
+    return (a, b) => byNumber('ageDays')(a, b) || byId(a, b);
+  }
+  return byId;
+}
+
+/**
+ * List tasks of all projects (or one) grouped and sorted for the dashboard.
+ * Returns { today, groups: [{ name, tasks }], skipped: [{ project, path,
+ * status, error }] }, where `skipped` lists task files that can't be read.
+ */
+function listTaskDashboard(options = {}) {
+  const settings = {
+    statuses: options.statuses || null,
+    groupBy: options.groupBy || 'status',
+    sort: options.sort || 'activity',
+    staleDays: options.staleDays === undefined ? 7 : options.staleDays,
+    untouchedDays:
+      options.untouchedDays === undefined ? 14 : options.untouchedDays,
+    today: today(options.tz),
+  };
+
+  if (!GROUP_BY.includes(settings.groupBy)) {
+    throw new Error(
+      `Invalid --group-by "${settings.groupBy}" (expected ${GROUP_BY.join(', ')})`,
+    );
+  }
+  if (!SORT_BY.includes(settings.sort)) {
+    throw new Error(
+      `Invalid --sort "${settings.sort}" (expected ${SORT_BY.join(', ')})`,
+    );
+  }
+  for (const key of ['staleDays', 'untouchedDays']) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+      throw new Error(`Invalid ${key}: expected a number of days`);
+    }
+  }
+
+  let projects;
+  if (options.project) {
+    const project = findProjectConfig(options.project);
+    if (!project) {
+      throw new Error(`Project "${options.project}" not found`);
+    }
+    projects = [project];
+  } else {
+    projects = listProjects().map((name) => findProjectConfig(name));
+  }
+
+  if (settings.statuses) {
+    const available = ['all'];
+    for (const project of projects) {
+      for (const status of getTaskStatuses(
+        loadProjectConfig(project.tasksPath),
+      )) {
+        if (!available.includes(status)) {
+          available.push(status);
+        }
+      }
+    }
+
+    const unknown = settings.statuses.filter((s) => !available.includes(s));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown task status "${unknown[0]}". Available: ${available.join(', ')}`,
+      );
+    }
+  }
+
+  const lastLogged = getLastLoggedDates();
+  const skipped = [];
+  const rows = projects.flatMap((project) =>
+    getProjectRows(project, lastLogged, settings, skipped),
+  );
+
+  // Groups in status order (or project order), tasks sorted within each
+  const groups = new Map();
+  const ordered = [...rows].sort(
+    (a, b) =>
+      (settings.groupBy === 'status' ? a.statusIndex - b.statusIndex : 0) ||
+      compareRows(settings.sort)(a, b),
+  );
+  for (const row of ordered) {
+    const name = settings.groupBy === 'none' ? 'all' : row[settings.groupBy];
+    if (!groups.has(name)) {
+      groups.set(name, []);
+    }
+    const { statusIndex, ...task } = row;
+    groups.get(name).push(task);
+  }
+
+  return {
+    today: settings.today,
+    staleDays: settings.staleDays,
+    untouchedDays: settings.untouchedDays,
+    groups: [...groups.entries()].map(([name, tasks]) => ({ name, tasks })),
+    skipped,
+  };
+}
+
+/**
+ * Format the dashboard as aligned text tables, one per group
+ */
+function formatDashboard(dashboard, groupBy = 'status') {
+  if (dashboard.groups.length === 0) {
+    return 'No tasks found';
+  }
+
+  const columns = [
+    ['ID', (task) => task.trackingId || '-'],
+    [
+      'Summary',
+      (task) => {
+        const summary = task.summary || '-';
+        return summary.length > SUMMARY_WIDTH
+          ? `${summary.slice(0, SUMMARY_WIDTH - 3)}...`
+          : summary;
+      },
+    ],
+    ...(groupBy === 'status' ? [] : [['Status', (task) => task.status]]),
+    ...(groupBy === 'project' ? [] : [['Project', (task) => task.project]]),
+    ['Branch', (task) => task.branch || '-'],
+    ['Age', (task) => (task.ageDays === null ? '-' : `${task.ageDays}d`)],
+    ['Last log', (task) => task.lastLogged || '-'],
+    ['Flag', (task) => task.flag || ''],
+  ];
+
+  return dashboard.groups
+    .map(({ name, tasks }) => {
+      const table = [
+        columns.map(([header]) => header),
+        ...tasks.map((task) => columns.map(([, value]) => value(task))),
+      ];
+      const widths = columns.map((_, i) =>
+        Math.max(...table.map((row) => row[i].length)),
+      );
+      const lines = table.map((row) =>
+        row
+          .map((cell, i) => cell.padEnd(widths[i]))
+          .join('  ')
+          .trimEnd(),
+      );
+      return [`${name} (${tasks.length})`, ...lines.map((l) => `  ${l}`)].join(
+        '\n',
+      );
+    })
+    .join('\n\n');
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const dashboard = listTaskDashboard(args);
+
+    if (args.json) {
+      console.log(JSON.stringify(dashboard, null, 2));
+    } else {
+      console.log(formatDashboard(dashboard, args.groupBy));
+      for (const file of dashboard.skipped) {
+        console.error(`Warning: Skipped ${file.path}: ${file.error}`);
+      }
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  listTaskDashboard,
+  formatDashboard,
+  getLastLoggedDates,
+};
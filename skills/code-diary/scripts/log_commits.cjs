@@ -8,9 +8,47 @@
  * Options:
  *   --since <date>        Start date for commits (default: yesterday)
  *   --until <date>        End date for commits (default: today)
- *   --tracking-id <ID>    Tracking ID to use (required)
- *   --summary <text>      Task summary (required)
+ *   --tracking-id <ID>    Tracking ID to use (required without --infer)
+ *   --summary <text>      Task summary (required without --infer)
+ *   --infer               Split commits by the tracking ID in their message or
+ *                         branch, with summaries from the project's task files.
+ *                         Unclassified commits go to --tracking-id/--summary
+ *                         when given, otherwise they're reported as unassigned
+ *   --stats               Add files and lines changed to each work item
+ *   --by-area             Group work items by the package or top-level
+ *                         directory they touch (see commit_stats.cjs)
+ *   --resync              Replace what was logged for the range's commits with
+ *                         the current history (after a reword, amend or rebase)
  *   --cwd <path>          Git repository path (default: current directory)
+ *   --all-repos           Log every repository in the project's `repositories`
+ *   --all-projects        Log every repository of every project (needs --infer)
+ *   --tz <timezone>       Timezone for commit dates (default: config, then system)
+ *   --project <name>      Project whose commit filters to use (default: detected from --cwd)
+ *   --author <pattern>    Only commits by this author (default: git user.email)
+ *   --any-author          Include commits from every author
+ *   --no-merges           Skip merge commits
+ *   --all                 Search all branches (default: current branch)
+ *   -- <pathspec>...      Only commits touching these paths
+ *
+ * Logged commits are recorded in `logs/.commits.json` (see commit_index.cjs),
+ * so re-running over the same range skips them.
+ *
+ * Work items follow Conventional Commits: a day's commits of the same type
+ * and scope become one work item (`Fix (auth): Handle expired tokens; Retry
+ * refresh`), merges, fixups and WIP commits are dropped (see
+ * commit_summary.cjs for the per-project rules). Commits logged by a later
+ * run add their own item; --resync merges the range again.
+ *
+ * With --stats or --by-area, the output includes each day's footprint (areas
+ * and lines changed), which is also kept in the commit index.
+ *
+ * With --all-repos / --all-projects, work items are prefixed with the
+ * repository they came from (`[api] Fix: ...`) and commits found in several
+ * repositories are only logged once.
+ *
+ * Defaults for the filters come from `repository.commits` in project.json:
+ *   { "author": null, "noMerges": false, "allBranches": false, "paths": [],
+ *     "stats": false, "byArea": false, "packages": ["packages/*", ...] }
  *
  * Examples:
  *   # Log today's commits
@@ -30,10 +68,59 @@
  *     --since "2 days ago" \
  *     --tracking-id PROJ-123 \
  *     --summary "Dashboard Automations"
+ *
+ *   # Log this week's commits under the tickets they belong to
+ *   node log_commits.cjs --infer --since "monday" --all
+ *
+ *   # Log today's commits from all repositories of all projects
+ *   node log_commits.cjs --infer --all-projects --since "today"
+ *
+ *   # Log own non-merge commits under packages/web on any branch
+ *   node log_commits.cjs \
+ *     --tracking-id PROJ-123 \
+ *     --summary "Dashboard Automations" \
+ *     --no-merges --all -- packages/web
  */
 
-const { execSync } = require('child_process');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
 const { logWork } = require('./log_work.cjs');
+const {
+  loadWorklog,
+  saveWorklog,
+  removeWorkItems,
+} = require('./worklog_document.cjs');
+const {
+  loadCommitIndex,
+  saveCommitIndex,
+  findIndexedCommits,
+} = require('./commit_index.cjs');
+const {
+  resolveSummaryRules,
+  summarizeCommits: summarizeCommitList,
+  combineSummaries,
+} = require('./commit_summary.cjs');
+const {
+  DEFAULT_PACKAGES,
+  parseNumstat,
+  getCommitStats,
+  formatStats,
+  getFootprint,
+} = require('./commit_stats.cjs');
+const { resolveTimezone } = require('./dates.cjs');
+const {
+  getCurrentProject,
+  findProjectConfig,
+  listProjects,
+  getProjectRepositories,
+} = require('./get_current_project.cjs');
+const { listTasks, isSameTrackingId } = require('./find_task.cjs');
+const {
+  escapeRegExp,
+  isTrackingId,
+  findTrackingIds,
+  trackingIdKey,
+} = require('./tracking_id.cjs');
 
 /**
  * Parse command line arguments
@@ -45,12 +132,28 @@ function parseArgs(argv) {
     trackingId: null,
     summary: null,
     cwd: process.cwd(),
+    tz: null,
+    project: null,
+    author: null,
+    anyAuthor: false,
+    noMerges: false,
+    allBranches: false,
+    paths: null,
+    infer: false,
+    resync: false,
+    stats: false,
+    byArea: false,
+    allRepos: false,
+    allProjects: false,
   };
 
   for (let i = 0; i < argv.length; i++) {
     const arg = argv[i];
 
-    if (arg === '--since' && i + 1 < argv.length) {
+    if (arg === '--') {
+      args.paths = argv.slice(i + 1);
+      break;
+    } else if (arg === '--since' && i + 1 < argv.length) {
       args.since = argv[++i];
     } else if (arg === '--until' && i + 1 < argv.length) {
       args.until = argv[++i];
@@ -60,6 +163,30 @@ function parseArgs(argv) {
       args.summary = argv[++i];
     } else if (arg === '--cwd' && i + 1 < argv.length) {
       args.cwd = argv[++i];
+    } else if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    } else if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--author' && i + 1 < argv.length) {
+      args.author = argv[++i];
+    } else if (arg === '--any-author') {
+      args.anyAuthor = true;
+    } else if (arg === '--no-merges') {
+      args.noMerges = true;
+    } else if (arg === '--all') {
+      args.allBranches = true;
+    } else if (arg === '--infer') {
+      args.infer = true;
+    } else if (arg === '--resync') {
+      args.resync = true;
+    } else if (arg === '--stats') {
+      args.stats = true;
+    } else if (arg === '--by-area') {
+      args.byArea = true;
+    } else if (arg === '--all-repos') {
+      args.allRepos = true;
+    } else if (arg === '--all-projects') {
+      args.allProjects = true;
     }
   }
 
@@ -67,125 +194,711 @@ function parseArgs(argv) {
 }
 
 /**
- * Get commits from git log grouped by date
+ * Run a git command in a repository and return its trimmed output
+ */
+function git(args, cwd, env = process.env) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', env }).trim();
+}
+
+/**
+ * Get the project named by --project, or detected from the repository
+ * (null when none matches)
+ */
+function resolveCommitProject(options) {
+  if (options.project) {
+    const project = findProjectConfig(options.project);
+    if (!project) {
+      throw new Error(`Project "${options.project}" not found`);
+    }
+    return project;
+  }
+
+  const detected = getCurrentProject(options.cwd);
+  return detected.error ? null : detected;
+}
+
+/**
+ * Get the commit filters: command line options over the project's
+ * `repository.commits` config. The author defaults to the repo's user.email.
+ */
+function resolveCommitFilters(options, project = null) {
+  const config = (project && project.config.repository) || {};
+  const defaults = config.commits || {};
+
+  let author = null;
+  if (!options.anyAuthor) {
+    author = options.author || defaults.author || null;
+    if (!author) {
+      try {
+        author = git(['config', 'user.email'], options.cwd) || null;
+      } catch (error) {
+        // user.email not set: don't filter by author
+      }
+    }
+  }
+
+  return {
+    project: project ? project.name : null,
+    author,
+    noMerges: Boolean(options.noMerges || defaults.noMerges),
+    allBranches: Boolean(options.allBranches || defaults.allBranches),
+    paths: options.paths || defaults.paths || [],
+  };
+}
+
+/**
+ * Get the diff stats settings: whether to collect `--numstat`, to add
+ * stats to work items, and to group them by area
+ */
+function resolveStatsOptions(options, project = null) {
+  const repository = (project && project.config.repository) || {};
+  const defaults = repository.commits || {};
+  const items = Boolean(options.stats || defaults.stats);
+  const byArea = Boolean(options.byArea || defaults.byArea);
+
+  return {
+    collect: items || byArea,
+    items,
+    byArea,
+    packages: defaults.packages || DEFAULT_PACKAGES,
+  };
+}
+
+/**
+ * Get commits from git log as { sha, time, date, subject, body, stats },
+ * dated in the configured timezone. Filters ({ author, noMerges,
+ * allBranches, paths }) default to none. `stats` is only collected with
+ * statsOptions.collect (see resolveStatsOptions).
  */
-function getCommitsByDate(options) {
+function getCommits(options, filters = {}, statsOptions = {}) {
   const { since, until, cwd } = options;
+  const timezone = resolveTimezone(options.tz);
 
   // Default: yesterday to today
   const sinceDate = since || 'yesterday';
   const untilDate = until || 'now';
 
+  const args = [
+    'log',
+    `--since=${sinceDate}`,
+    `--until=${untilDate}`,
+    '--pretty=format:%x1e%H%x1f%ct%x1f%ad%x1f%s%x1f%b%x1d',
+    '--date=format-local:%Y-%m-%d',
+  ];
+  if (statsOptions.collect) {
+    args.push('--numstat');
+  }
+  if (filters.author) {
+    args.push(`--author=${filters.author}`);
+  }
+  if (filters.noMerges) {
+    args.push('--no-merges');
+  }
+  if (filters.allBranches) {
+    args.push('--all');
+  }
+  if (filters.paths && filters.paths.length > 0) {
+    args.push('--', ...filters.paths);
+  }
+
   try {
     // Get commits with date and message
-    const gitLog = execSync(
-      `git log --since="${sinceDate}" --until="${untilDate}" --pretty=format:"%ad|%s" --date=short`,
-      {
-        cwd,
-        encoding: 'utf-8',
-      },
-    ).trim();
+    const gitLog = git(args, cwd, { ...process.env, TZ: timezone });
 
     if (!gitLog) {
-      return {};
+      return [];
     }
 
-    // Group commits by date
-    const commitsByDate = {};
-    const lines = gitLog.split('\n');
+    return gitLog
+      .split('\x1e')
+      .map((record) => record.trim())
+      .filter(Boolean)
+      .map((record) => {
+        const [header, numstat] = record.split('\x1d');
+        const [sha, time, date, subject, body] = header.split('\x1f');
+        return {
+          sha,
+          time: Number(time),
+          date,
+          subject,
+          body: body.trim(),
+          stats: statsOptions.collect
+            ? getCommitStats(parseNumstat(numstat), statsOptions.packages)
+            : null,
+        };
+      });
+  } catch (error) {
+    throw new Error(`Failed to get git commits: ${error.message}`);
+  }
+}
 
-    for (const line of lines) {
-      const [date, message] = line.split('|');
-      if (!commitsByDate[date]) {
-        commitsByDate[date] = [];
-      }
-      commitsByDate[date].push(message);
+/**
+ * Summarize commit messages into work item strings, one per kept commit
+ * (the summaries of commit_summary.cjs without their commits)
+ */
+function summarizeCommits(messages, rules) {
+  return summarizeCommitList(messages, rules).map(({ item }) => item);
+}
+
+/**
+ * Get commit messages from git log grouped by date
+ */
+function getCommitsByDate(options, filters = {}) {
+  const commitsByDate = {};
+
+  for (const commit of getCommits(options, filters)) {
+    if (!commitsByDate[commit.date]) {
+      commitsByDate[commit.date] = [];
     }
+    commitsByDate[commit.date].push(commit.subject);
+  }
 
-    return commitsByDate;
-  } catch (error) {
-    throw new Error(`Failed to get git commits: ${error.message}`);
+  return commitsByDate;
+}
+
+/**
+ * Get the tracking ID of a branch: the task whose `branch` it is, or the
+ * `<ID>_` prefix of the filename in the project's `featureBranchRule`
+ */
+function getBranchTrackingId(branch, project, tasks) {
+  const task = tasks.find((t) => t.branch === branch);
+  if (task && task.trackingId) {
+    return task.trackingId;
+  }
+
+  const rule =
+    (project.config.repository &&
+      project.config.repository.featureBranchRule) ||
+    'feat/{filename}';
+  const pattern = new RegExp(
+    `^${rule.split('{filename}').map(escapeRegExp).join('(.+)')}$`,
+  );
+  const match = branch.match(pattern);
+  if (!match) {
+    return null;
   }
+
+  const id = match[1].split('_')[0];
+  return isTrackingId(id, project.config.issueTracker) ? id : null;
 }
 
 /**
- * Summarize commit messages into work items
+ * Map commit SHAs to the tracking ID of the feature branch they were made on.
+ * A commit reachable from several feature branches (e.g. a branch started
+ * from another one) belongs to the branch with the fewest own commits.
  */
-function summarizeCommits(commits) {
-  const workItems = [];
+function getBranchTrackingIds(options, project, tasks) {
+  const { cwd } = options;
+  const mainBranch =
+    (project.config.repository && project.config.repository.mainBranch) ||
+    'main';
+  const mainRefs = [mainBranch, `origin/${mainBranch}`].filter((ref) => {
+    try {
+      git(['rev-parse', '--verify', '--quiet', ref], cwd);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
 
-  for (const message of commits) {
-    // Remove common prefixes
-    let cleaned = message
-      .replace(/^(feat|fix|chore|docs|style|refactor|test|perf):\s*/i, '')
-      .trim();
+  // Without a main branch every commit would be on every branch
+  if (mainRefs.length === 0) {
+    return new Map();
+  }
 
-    // Capitalize first letter
-    cleaned = cleaned.charAt(0).toUpperCase() + cleaned.slice(1);
+  const branches = [];
+  const refs = git(
+    ['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes'],
+    cwd,
+  );
+  for (const ref of refs.split('\n').filter(Boolean)) {
+    // refs/heads/<branch> or refs/remotes/<remote>/<branch>
+    const name = ref.replace(/^refs\/(heads|remotes\/[^/]+)\//, '');
+    const trackingId = getBranchTrackingId(name, project, tasks);
+    if (!trackingId) {
+      continue;
+    }
 
-    workItems.push(cleaned);
+    const shas = git(
+      [
+        'rev-list',
+        `--since=${options.since || 'yesterday'}`,
+        `--until=${options.until || 'now'}`,
+        ref,
+        '--not',
+        ...mainRefs,
+      ],
+      cwd,
+    )
+      .split('\n')
+      .filter(Boolean);
+    branches.push({ trackingId, shas });
   }
 
-  return workItems;
+  const shaIds = new Map();
+  branches.sort((a, b) => a.shas.length - b.shas.length);
+  for (const { trackingId, shas } of branches) {
+    for (const sha of shas) {
+      if (!shaIds.has(sha)) {
+        shaIds.set(sha, trackingId);
+      }
+    }
+  }
+
+  return shaIds;
 }
 
 /**
- * Log commits as work entries
+ * Remove tracking IDs from a commit message
+ * (`feat(PROJ-12): add x` → `feat: add x`, `[PROJ-12] add x` → `add x`)
  */
-function logCommits(options) {
-  const { trackingId, summary, cwd } = options;
+function stripTrackingIds(message, trackingIds) {
+  let result = message;
 
-  // Validate required fields
-  if (!trackingId || !summary) {
+  for (const id of trackingIds) {
+    const source = `(?<![\\w-])${escapeRegExp(id)}(?![\\w-])`;
+    result = result
+      .replace(new RegExp(`\\(${source}\\)|\\[${source}\\]`, 'gi'), '')
+      .replace(new RegExp(`${source}:?\\s*`, 'gi'), '');
+  }
+
+  return result.replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Group commits by tracking ID: the IDs in the message, else the ID of the
+ * feature branch. Only IDs with a task file count, as the entry summary
+ * comes from the task. Returns { groups, unassigned }.
+ */
+function classifyCommits(commits, project, options) {
+  const tasks = listTasks(project.tasksPath);
+  const { issueTracker } = project.config;
+  const branchIds = getBranchTrackingIds(options, project, tasks);
+  const findTask = (id) => tasks.find((task) => isSameTrackingId(task, id));
+
+  const groups = new Map();
+  const unassigned = [];
+
+  for (const commit of commits) {
+    const mentioned = findTrackingIds(commit.subject, issueTracker);
+    const candidates = mentioned.length
+      ? mentioned
+      : [branchIds.get(commit.sha)].filter(Boolean);
+    const matched = candidates.filter((id) => findTask(id));
+
+    if (matched.length === 0) {
+      unassigned.push({
+        ...commit,
+        reason: candidates.length
+          ? `No task found for ${candidates.join(', ')}`
+          : 'No tracking ID in message or branch',
+      });
+      continue;
+    }
+
+    for (const id of matched) {
+      const task = findTask(id);
+      const key = trackingIdKey(task.trackingId || id);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          trackingId: task.trackingId || id,
+          summary: task.summary,
+          commits: [],
+        });
+      }
+      groups.get(key).commits.push({
+        ...commit,
+        subject: stripTrackingIds(commit.subject, matched),
+      });
+    }
+  }
+
+  return { groups, unassigned };
+}
+
+/**
+ * Group commits under the tracking IDs inferred from messages and branches.
+ * Unclassified commits go to the fallback --tracking-id when given.
+ * Returns { groups, fallback, unassigned }.
+ */
+function inferCommitGroups(commits, options, project) {
+  if (!project) {
     throw new Error(
-      'Missing required fields: --tracking-id and --summary are required',
+      '--infer needs a project: pass --project or run it in a project repository',
     );
   }
 
-  // Get commits grouped by date
-  const commitsByDate = getCommitsByDate(options);
+  const { groups, unassigned } = classifyCommits(commits, project, options);
+
+  let fallback = [];
+  if (options.trackingId && unassigned.length > 0) {
+    const task = listTasks(project.tasksPath).find((t) =>
+      isSameTrackingId(t, options.trackingId),
+    );
+    const summary = options.summary || (task && task.summary);
+    if (!summary) {
+      throw new Error(
+        `Missing --summary for fallback tracking ID ${options.trackingId}`,
+      );
+    }
+
+    const key = trackingIdKey(options.trackingId);
+    if (!groups.has(key)) {
+      groups.set(key, { trackingId: options.trackingId, summary, commits: [] });
+    }
+    groups.get(key).commits.push(...unassigned);
+    fallback = unassigned.splice(0);
+  }
+
+  return { groups: [...groups.values()], fallback, unassigned };
+}
 
-  if (Object.keys(commitsByDate).length === 0) {
-    return {
-      success: true,
-      message: 'No commits found in the specified date range',
-      dates: [],
-    };
+/**
+ * Summarize a day's commits into work items [{ commits, item }], merging
+ * the commits of the same type and scope (see combineSummaries). Diff stats
+ * are added per commit and items are grouped by area when enabled. With a
+ * repository name, items are prefixed with it (and the area, e.g.
+ * `[web/packages/ui]`).
+ */
+function getWorkItems(commits, rules, statsOptions, repoName = null) {
+  const withStats = (text, commit) =>
+    statsOptions.items && commit.stats
+      ? `${text} (${formatStats(commit.stats)})`
+      : text;
+  const summaries = summarizeCommitList(commits, rules).map((summary) => ({
+    ...summary,
+    item: withStats(summary.item, summary.commit),
+    text: withStats(summary.text, summary.commit),
+  }));
+
+  if (!statsOptions.byArea) {
+    return combineSummaries(summaries).map(({ commits: merged, item }) => ({
+      commits: merged,
+      item: repoName ? `[${repoName}] ${item}` : item,
+    }));
   }
 
+  const areaOf = ({ commit }) => {
+    const area = (commit.stats && commit.stats.area) || '';
+    if (!repoName) {
+      return area;
+    }
+    return area && area !== '.' ? `${repoName}/${area}` : repoName;
+  };
+
+  // Keeps the type order within an area; items without one go last
+  summaries.sort((a, b) => {
+    const [areaA, areaB] = [areaOf(a), areaOf(b)];
+    return !areaA || !areaB
+      ? Number(!areaA) - Number(!areaB)
+      : areaA.localeCompare(areaB);
+  });
+
+  return combineSummaries(summaries, areaOf).map(
+    ({ commits: merged, item }) => {
+      const area = areaOf({ commit: merged[0] });
+      return { commits: merged, item: area ? `[${area}] ${item}` : item };
+    },
+  );
+}
+
+/**
+ * Log groups of commits ({ trackingId, summary, commits }) day by day,
+ * recording each logged commit in the commit index. Commits dropped by the
+ * summary rules (merges, fixups, ...) are indexed without entries.
+ */
+function logCommitGroups(
+  groups,
+  index,
+  repo,
+  rules,
+  statsOptions,
+  repoName = null,
+) {
   const results = [];
 
-  // Process each date
-  for (const [date, commits] of Object.entries(commitsByDate)) {
-    const workItems = summarizeCommits(commits);
+  for (const { trackingId, summary, commits } of groups) {
+    const commitsByDate = {};
+    for (const commit of commits) {
+      if (!commitsByDate[commit.date]) {
+        commitsByDate[commit.date] = [];
+      }
+      commitsByDate[commit.date].push(commit);
+    }
 
-    try {
-      const result = logWork({
-        date,
-        trackingId,
-        summary,
-        workItems,
-      });
+    for (const [date, dayCommits] of Object.entries(commitsByDate)) {
+      const summaries = getWorkItems(dayCommits, rules, statsOptions, repoName);
+      const workItems = summaries.map(({ item }) => item);
+
+      if (workItems.length > 0) {
+        try {
+          logWork({ date, trackingId, summary, workItems });
+        } catch (error) {
+          results.push({ date, trackingId, error: error.message });
+          continue;
+        }
+      }
+
+      for (const commit of dayCommits) {
+        if (!index.commits[commit.sha]) {
+          index.commits[commit.sha] = {
+            repo,
+            time: commit.time,
+            date: commit.date,
+            entries: [],
+          };
+          if (commit.stats) {
+            index.commits[commit.sha].stats = commit.stats;
+          }
+        }
+      }
+      for (const { commits: merged, item } of summaries) {
+        for (const commit of merged) {
+          index.commits[commit.sha].entries.push({ trackingId, item });
+        }
+      }
 
       results.push({
         date,
-        commitCount: commits.length,
+        trackingId,
+        summary,
+        commitCount: dayCommits.length,
         workItems: workItems.length,
       });
-    } catch (error) {
-      results.push({
-        date,
-        error: error.message,
-      });
     }
   }
 
+  return results;
+}
+
+/**
+ * Get the --since/--until range as commit timestamps (unix seconds),
+ * parsed by git itself so it matches what git log selects
+ */
+function getCommitTimeRange(options) {
+  const output = git(
+    [
+      'rev-parse',
+      `--since=${options.since || 'yesterday'}`,
+      `--until=${options.until || 'now'}`,
+    ],
+    options.cwd,
+    { ...process.env, TZ: resolveTimezone(options.tz) },
+  );
+  const after = output.match(/--max-age=(\d+)/);
+  const before = output.match(/--min-age=(\d+)/);
+
   return {
-    success: true,
-    message: `Logged commits for ${results.length} date(s)`,
+    after: after ? Number(after[1]) : null,
+    before: before ? Number(before[1]) : null,
+  };
+}
+
+/**
+ * Forget the indexed commits of a repository in the --since/--until range
+ * and remove their work items from the worklogs, so the range can be logged
+ * again from the current history. Items also logged by a commit outside the
+ * range are kept. Returns the number of forgotten commits.
+ */
+function unlogCommits(options, index, repo) {
+  const { after, before } = getCommitTimeRange(options);
+  const stale = findIndexedCommits(index, repo, after, before);
+  const itemKey = (date, trackingId, item) =>
+    [date, trackingIdKey(trackingId), item].join('\n');
+
+  for (const commit of stale) {
+    delete index.commits[commit.sha];
+  }
+
+  const kept = new Set();
+  for (const record of Object.values(index.commits)) {
+    for (const entry of record.entries) {
+      kept.add(itemKey(record.date, entry.trackingId, entry.item));
+    }
+  }
+
+  const worklogs = new Map();
+  for (const commit of stale) {
+    for (const { trackingId, item } of commit.entries) {
+      if (kept.has(itemKey(commit.date, trackingId, item))) {
+        continue;
+      }
+
+      const month = commit.date.slice(0, 7);
+      if (!worklogs.has(month)) {
+        worklogs.set(month, { ...loadWorklog(month), changed: false });
+      }
+      const worklog = worklogs.get(month);
+      if (
+        removeWorkItems(worklog.doc, commit.date, trackingId, [item]).length
+      ) {
+        worklog.changed = true;
+      }
+    }
+  }
+
+  for (const { file, doc, changed } of worklogs.values()) {
+    if (changed) {
+      saveWorklog(file, doc);
+    }
+  }
+
+  return stale.length;
+}
+
+/**
+ * Log the commits of one repository (options.cwd). With a repository name,
+ * the result and work items are labeled with it.
+ */
+function logRepositoryCommits(options, project, index, repoName = null) {
+  const { trackingId, summary } = options;
+  if (!fs.existsSync(options.cwd)) {
+    throw new Error(`Repository not found: ${options.cwd}`);
+  }
+
+  const filters = resolveCommitFilters(options, project);
+  const repo = git(['rev-parse', '--show-toplevel'], options.cwd);
+  const resynced = options.resync ? unlogCommits(options, index, repo) : 0;
+
+  const statsOptions = resolveStatsOptions(options, project);
+  const allCommits = getCommits(options, filters, statsOptions);
+  const commits = allCommits.filter((commit) => !index.commits[commit.sha]);
+  const skipped = allCommits.length - commits.length;
+
+  const { groups, fallback, unassigned } = options.infer
+    ? inferCommitGroups(commits, options, project)
+    : {
+        groups: [{ trackingId, summary, commits }],
+        fallback: [],
+        unassigned: [],
+      };
+
+  const results = logCommitGroups(
+    groups,
+    index,
+    repo,
+    resolveSummaryRules(project),
+    statsOptions,
+    repoName,
+  );
+
+  const logged = commits.length - unassigned.length;
+  let message;
+  if (allCommits.length === 0) {
+    message = 'No commits found in the specified date range';
+  } else if (commits.length === 0) {
+    message = `No new commits (${skipped} already logged)`;
+  } else if (options.infer) {
+    message = `Logged ${logged} of ${commits.length} new commit(s) under ${groups.length} tracking ID(s)`;
+  } else {
+    message = `Logged commits for ${results.length} date(s)`;
+  }
+
+  return {
+    message,
+    ...(repoName
+      ? {
+          repository: repoName,
+          path: repo,
+          project: project ? project.name : null,
+        }
+      : {}),
     dates: results,
-    trackingId,
-    summary,
+    ...(options.infer ? {} : { trackingId, summary }),
+    skipped,
+    resynced,
+    ...(options.infer ? { fallbackCommits: fallback.length, unassigned } : {}),
+    ...(statsOptions.collect ? { footprint: getFootprint(allCommits) } : {}),
+    filters,
+  };
+}
+
+/**
+ * Log commits as work entries. Commits already in the commit index are
+ * skipped; with --resync the range is logged again from scratch.
+ * With --all-repos / --all-projects, every configured repository is logged.
+ */
+function logCommits(options) {
+  const { trackingId, summary } = options;
+
+  // Validate required fields
+  if (!options.infer && (!trackingId || !summary)) {
+    throw new Error(
+      'Missing required fields: --tracking-id and --summary are required (or use --infer)',
+    );
+  }
+  if (options.allProjects && !options.infer) {
+    throw new Error(
+      '--all-projects needs --infer: each project logs under its own tasks',
+    );
+  }
+
+  const index = loadCommitIndex();
+  const indexed = JSON.stringify(index);
+  const saveIndex = () => {
+    if (JSON.stringify(index) !== indexed) {
+      saveCommitIndex(index);
+    }
+  };
+
+  if (!options.allRepos && !options.allProjects) {
+    const result = logRepositoryCommits(
+      options,
+      resolveCommitProject(options),
+      index,
+    );
+    saveIndex();
+    return { success: true, ...result };
+  }
+
+  let projects;
+  if (options.allProjects) {
+    projects = listProjects().map((name) => findProjectConfig(name));
+  } else {
+    const project = resolveCommitProject(options);
+    if (!project) {
+      throw new Error(
+        '--all-repos needs a project: pass --project or run it in a project repository',
+      );
+    }
+    projects = [project];
+  }
+
+  const repositories = [];
+  for (const project of projects) {
+    for (const repository of getProjectRepositories(project)) {
+      try {
+        repositories.push(
+          logRepositoryCommits(
+            { ...options, cwd: repository.path },
+            project,
+            index,
+            repository.name,
+          ),
+        );
+      } catch (error) {
+        repositories.push({
+          repository: repository.name,
+          path: repository.path,
+          project: project.name,
+          error: error.message,
+        });
+      }
+    }
+  }
+  saveIndex();
+
+  if (repositories.length === 0) {
+    throw new Error(
+      'No repositories configured: list them in "repositories" in project.json',
+    );
+  }
+
+  const failed = repositories.filter((repository) => repository.error).length;
+  return {
+    success: true,
+    message: `Logged commits from ${repositories.length - failed} of ${repositories.length} repositories`,
+    repositories,
   };
 }
 
@@ -211,4 +924,13 @@ if (require.main === module) {
   }
 }
 
-module.exports = { logCommits, getCommitsByDate, summarizeCommits };
+module.exports = {
+  logCommits,
+  getCommits,
+  getCommitsByDate,
+  resolveCommitFilters,
+  classifyCommits,
+  unlogCommits,
+  stripTrackingIds,
+  summarizeCommits,
+};
@@ -1,15 +1,33 @@
 #!/usr/bin/env node
 
 /**
- * Log work entries to the daily worklog with proper date ordering
+ * Log work entries to the daily worklog with proper date ordering, and edit
+ * existing entries
  *
- * Usage: node log_work.cjs [options]
+ * Usage: node log_work.cjs [command] [options]
+ *
+ * Commands:
+ *   add (default)   Add an entry or work items
+ *   remove          Remove work items (--work), or the whole entry without
+ *                   --work
+ *   rename          Rename a tracking ID (--to) on --date, or everywhere
+ *                   without --date (including the commit index)
+ *   move            Move an entry to another date (--to-date), across month
+ *                   files if needed
+ *
+ * Days and weeks left without entries are removed.
  *
  * Options:
  *   --date <YYYY-MM-DD>          Date for the work entry (default: today)
- *   --tracking-id <ID>           Tracking ID (e.g., PROJ-123)
+ *   --tracking-id <ID>           Tracking ID (e.g., PROJ-123, #45, 20260128)
  *   --summary <text>             Task summary
  *   --work <item>                Work item (can be specified multiple times)
+ *   --time <duration>            Time spent (e.g. 1h30m, 2h, 45m): on the
+ *                                preceding --work item, or on the entry
+ *                                when it doesn't follow a --work
+ *   --to <ID>                    New tracking ID (rename)
+ *   --to-date <YYYY-MM-DD>       Target date (move)
+ *   --tz <timezone>              Timezone for "today" (default: config, then system)
  *
  * Examples:
  *   node log_work.cjs \
@@ -23,27 +41,73 @@
  *     --tracking-id PROJ-124 \
  *     --summary "Air Quality Sensor" \
  *     --work "Fixed device state handling"
+ *
+ *   node log_work.cjs \
+ *     --tracking-id PROJ-123 \
+ *     --summary "Dashboard Automations" \
+ *     --work "Implemented sensor time range selector" --time 1h30m \
+ *     --work "Code review" --time 30m
+ *
+ *   node log_work.cjs remove --date 2026-02-02 --tracking-id PROJ-124 \
+ *     --work "Fixed device state handling"
+ *
+ *   node log_work.cjs rename --tracking-id PROJ-124 --to PROJ-142
+ *
+ *   node log_work.cjs move --date 2026-01-30 --tracking-id PROJ-124 \
+ *     --to-date 2026-02-02
+ *
+ * Times are written as `[1h30m]` annotations (see durations.cjs). Times
+ * add up: logging `--time 1h` twice on the same day, for the entry or for
+ * the same work item, records 2h.
  */
 
-const fs = require('fs');
-const path = require('path');
-const { getWorklogsPath } = require('./config.cjs');
 const { getWeekInfo } = require('./get_week_info.cjs');
-const { formatWorklog } = require('./format_worklog.cjs');
+const {
+  parseWorklog,
+  compareDates,
+  loadWorklog,
+  saveWorklog,
+  listWorklogFiles,
+  findOrCreateWeek,
+  findOrCreateDay,
+  upsertEntry,
+  addEntry,
+  removeEntry,
+  renameEntries,
+  removeWorkItems,
+} = require('./worklog_document.cjs');
+const { loadCommitIndex, saveCommitIndex } = require('./commit_index.cjs');
+const { isTrackingId, trackingIdKey } = require('./tracking_id.cjs');
+const { today, parseDate, formatDateHeader } = require('./dates.cjs');
+const {
+  parseDuration,
+  formatDuration,
+  splitTimeAnnotation,
+  withTimeAnnotation,
+} = require('./durations.cjs');
+
+const COMMANDS = ['add', 'remove', 'rename', 'move'];
 
 /**
  * Parse command line arguments
  */
 function parseArgs(argv) {
   const args = {
+    command: 'add',
     date: null,
     trackingId: null,
     summary: null,
     workItems: [],
+    itemTimes: {},
+    time: null,
+    to: null,
+    toDate: null,
+    tz: null,
   };
 
   for (let i = 0; i < argv.length; i++) {
     const arg = argv[i];
+    const previous = argv[i - 2];
 
     if (arg === '--date' && i + 1 < argv.length) {
       args.date = argv[++i];
@@ -53,6 +117,20 @@ function parseArgs(argv) {
       args.summary = argv[++i];
     } else if (arg === '--work' && i + 1 < argv.length) {
       args.workItems.push(argv[++i]);
+    } else if (arg === '--time' && i + 1 < argv.length) {
+      if (previous === '--work') {
+        args.itemTimes[args.workItems.length - 1] = argv[++i];
+      } else {
+        args.time = argv[++i];
+      }
+    } else if (arg === '--to' && i + 1 < argv.length) {
+      args.to = argv[++i];
+    } else if (arg === '--to-date' && i + 1 < argv.length) {
+      args.toDate = argv[++i];
+    } else if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    } else if (i === 0 && !arg.startsWith('--')) {
+      args.command = arg;
     }
   }
 
@@ -60,269 +138,284 @@ function parseArgs(argv) {
 }
 
 /**
- * Parse markdown content into structured sections
+ * Get minutes from a duration string or a number of minutes
  */
-function parseWorklog(content) {
-  const lines = content.split('\n');
-  const sections = [];
-  let currentWeek = null;
-  let currentDay = null;
-  let currentTask = null;
-  let buffer = [];
-
-  const flushBuffer = () => {
-    if (buffer.length > 0) {
-      if (currentTask) {
-        currentTask.content.push(...buffer);
-      } else if (currentDay) {
-        currentDay.content.push(...buffer);
-      } else if (currentWeek) {
-        currentWeek.content.push(...buffer);
-      } else {
-        sections.push({ type: 'header', lines: [...buffer] });
-      }
-      buffer = [];
-    }
-  };
+function toMinutes(value) {
+  const minutes = typeof value === 'number' ? value : parseDuration(value);
+  if (!Number.isInteger(minutes) || minutes <= 0) {
+    throw new Error(`Invalid duration: ${value} (must be positive)`);
+  }
+  return minutes;
+}
 
-  for (const line of lines) {
-    // Week header (## Week N)
-    if (line.match(/^## Week \d+/)) {
-      flushBuffer();
-      if (currentWeek) {
-        sections.push(currentWeek);
-      }
-      currentWeek = {
-        type: 'week',
-        header: line,
-        weekNumber: parseInt(line.match(/\d+/)[0]),
-        content: [],
-        days: [],
-      };
-      currentDay = null;
-      currentTask = null;
-      continue;
-    }
+/**
+ * Parse a worklog into the flat sections log_work.cjs used to return: a
+ * `header` section with the lines before the first week, then `week`
+ * sections ({ header, weekNumber, content, days }) whose days
+ * ({ header, date, content, tasks }) hold their tasks
+ * ({ trackingId, summary, content }). New code should use the document
+ * tree of worklog_document.cjs instead.
+ */
+function parseWorklogSections(content) {
+  const doc = parseWorklog(content);
+  const header = [...(doc.frontmatter || []), ...doc.preamble];
+  const sections = header.length > 0 ? [{ type: 'header', lines: header }] : [];
 
-    // Daily header (### YYYY/MM/DD)
-    if (line.match(/^### \d{4}\/\d{2}\/\d{2}/)) {
-      flushBuffer();
-      if (currentDay) {
-        currentWeek.days.push(currentDay);
-      }
-      currentDay = {
+  for (const week of doc.weeks) {
+    sections.push({
+      type: 'week',
+      header: week.header,
+      weekNumber: week.weekNumber,
+      content: [...week.lines],
+      days: week.days.map((day) => ({
         type: 'day',
-        header: line,
-        date: line.replace('### ', ''),
-        content: [],
-        tasks: [],
-      };
-      currentTask = null;
-      continue;
-    }
+        header: day.header,
+        date: day.date,
+        content: [...day.lines],
+        tasks: day.entries.map((entry) => ({
+          type: 'task',
+          trackingId: entry.trackingId,
+          summary: entry.header.slice(`- ${entry.trackingId}: `.length),
+          content: [...entry.lines],
+        })),
+      })),
+    });
+  }
 
-    // Task entry (- TRACKING-ID: Summary)
-    if (currentDay && line.match(/^- [A-Z]+-\d+:/)) {
-      flushBuffer();
-      if (currentTask) {
-        currentDay.tasks.push(currentTask);
+  // The final newline was kept as an empty line of the last node
+  if (doc.finalNewline) {
+    let node = sections[sections.length - 1];
+    if (!node) {
+      sections.push({ type: 'header', lines: [''] });
+    } else if (node.type === 'header') {
+      node.lines.push('');
+    } else {
+      for (const children of ['days', 'tasks']) {
+        if (node[children] && node[children].length > 0) {
+          node = node[children][node[children].length - 1];
+        }
       }
-      const match = line.match(/^- ([A-Z]+-\d+): (.+)$/);
-      currentTask = {
-        type: 'task',
-        trackingId: match[1],
-        summary: match[2],
-        content: [],
-      };
-      continue;
+      node.content.push('');
     }
-
-    buffer.push(line);
-  }
-
-  // Flush remaining content
-  flushBuffer();
-  if (currentTask) {
-    currentDay.tasks.push(currentTask);
-  }
-  if (currentDay) {
-    currentWeek.days.push(currentDay);
-  }
-  if (currentWeek) {
-    sections.push(currentWeek);
   }
 
   return sections;
 }
 
-/**
- * Format date as YYYY/MM/DD
- */
-function formatDateHeader(dateStr) {
-  const date = new Date(dateStr);
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}/${month}/${day}`;
-}
-
-/**
- * Compare dates for sorting (descending - newest first)
- */
-function compareDates(dateStr1, dateStr2) {
-  const d1 = new Date(dateStr1.replace(/\//g, '-'));
-  const d2 = new Date(dateStr2.replace(/\//g, '-'));
-  return d2 - d1; // Descending order
-}
-
 /**
  * Add or update work entry in the worklog
  */
 function logWork(options) {
-  const { date, trackingId, summary, workItems } = options;
+  const { date, trackingId, summary, tz } = options;
+  const itemTimes = options.itemTimes || {};
+  const time =
+    options.time === null || options.time === undefined
+      ? null
+      : toMinutes(options.time);
 
   // Validate required fields
-  if (!trackingId || !summary || workItems.length === 0) {
+  if (!trackingId || !summary || (options.workItems.length === 0 && !time)) {
+    throw new Error(
+      'Missing required fields: --tracking-id, --summary, and at least one --work item (or --time) are required',
+    );
+  }
+
+  const workItems = options.workItems.map((item, index) =>
+    index in itemTimes
+      ? withTimeAnnotation(
+          splitTimeAnnotation(item).text,
+          toMinutes(itemTimes[index]),
+        )
+      : item,
+  );
+
+  if (!isTrackingId(trackingId)) {
     throw new Error(
-      'Missing required fields: --tracking-id, --summary, and at least one --work item are required',
+      `Invalid tracking ID "${trackingId}" (expected e.g. PROJ-123, ENG-12a, #45, gh-45 or 20260128)`,
     );
   }
 
   // Get date info
-  const dateStr = date || new Date().toISOString().slice(0, 10);
+  const dateStr = date ? parseDate(date) : today(tz);
   const weekInfo = getWeekInfo(dateStr);
   const dailyHeader = formatDateHeader(dateStr);
 
-  // Get worklog file path
-  const worklogsPath = getWorklogsPath();
-  const logsDir = path.join(worklogsPath, 'logs');
-  const worklogFile = path.join(logsDir, `${weekInfo.month}.md`);
+  // Find or create the week, day and task entry, then add work items
+  const { file: worklogFile, doc } = loadWorklog(weekInfo.month);
+  const weekSection = findOrCreateWeek(doc, weekInfo);
+  const daySection = findOrCreateDay(weekSection, dailyHeader);
+  upsertEntry(daySection, trackingId, summary, workItems, { time });
+
+  saveWorklog(worklogFile, doc);
+
+  return {
+    worklogFile,
+    date: dateStr,
+    dailyHeader,
+    trackingId,
+    summary,
+    workItems,
+    time,
+  };
+}
 
-  // Ensure logs directory exists
-  if (!fs.existsSync(logsDir)) {
-    fs.mkdirSync(logsDir, { recursive: true });
+/**
+ * Check a tracking ID given to an edit command
+ */
+function requireTrackingId(trackingId, option = '--tracking-id') {
+  if (!trackingId) {
+    throw new Error(`Missing required field: ${option}`);
+  }
+  if (!isTrackingId(trackingId)) {
+    throw new Error(
+      `Invalid tracking ID "${trackingId}" (expected e.g. PROJ-123, ENG-12a, #45, gh-45 or 20260128)`,
+    );
   }
+}
 
-  // Read or create worklog file
-  let content = '';
-  if (fs.existsSync(worklogFile)) {
-    content = fs.readFileSync(worklogFile, 'utf-8');
+/**
+ * Remove work items from an entry, or the whole entry without work items
+ */
+function removeWork(options) {
+  const { trackingId } = options;
+  const workItems = options.workItems || [];
+  requireTrackingId(trackingId);
+
+  const dateStr = options.date ? parseDate(options.date) : today(options.tz);
+  const { file: worklogFile, doc } = loadWorklog(getWeekInfo(dateStr).month);
+  let removed;
+
+  if (workItems.length > 0) {
+    removed = removeWorkItems(doc, dateStr, trackingId, workItems);
+    const missing = workItems.filter(
+      (item) =>
+        !removed.some(
+          (r) => r === item || splitTimeAnnotation(r).text === item,
+        ),
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Work item(s) not found for ${trackingId} on ${dateStr}: ${missing.join(', ')}`,
+      );
+    }
   } else {
-    // Create new worklog file
-    content = `# ${weekInfo.month.replace('-', '/')} Contribution log\n`;
+    const entry = removeEntry(doc, dateStr, trackingId);
+    if (!entry) {
+      throw new Error(`No entry for ${trackingId} on ${dateStr}`);
+    }
+    removed = [entry.summary];
   }
 
-  // Parse worklog
-  const sections = parseWorklog(content);
-
-  // Find or create week section
-  let weekSection = sections.find(
-    (s) => s.type === 'week' && s.weekNumber === weekInfo.weekNumber,
-  );
+  saveWorklog(worklogFile, doc);
 
-  if (!weekSection) {
-    weekSection = {
-      type: 'week',
-      header: `## ${weekInfo.weekHeader}`,
-      weekNumber: weekInfo.weekNumber,
-      content: ['', 'Last week:', '', 'This week:', ''],
-      days: [],
-    };
-    sections.push(weekSection);
-    // Sort weeks by week number (descending)
-    sections.sort((a, b) => {
-      if (a.type !== 'week' || b.type !== 'week') return 0;
-      return b.weekNumber - a.weekNumber;
-    });
-  }
+  return {
+    worklogFile,
+    date: dateStr,
+    trackingId,
+    removed,
+    entryRemoved: workItems.length === 0,
+  };
+}
 
-  // Find or create day section
-  let daySection = weekSection.days.find((d) => d.date === dailyHeader);
-
-  if (!daySection) {
-    daySection = {
-      type: 'day',
-      header: `### ${dailyHeader}`,
-      date: dailyHeader,
-      content: [],
-      tasks: [],
-    };
-    weekSection.days.push(daySection);
-    // Sort days by date (descending - newest first)
-    weekSection.days.sort((a, b) => compareDates(a.date, b.date));
+/**
+ * Rename a tracking ID on a date, or in every worklog and the commit index
+ * without a date
+ */
+function renameTrackingId(options) {
+  const { trackingId, to } = options;
+  requireTrackingId(trackingId);
+  requireTrackingId(to, '--to');
+
+  const dateStr = options.date ? parseDate(options.date) : null;
+  const files = dateStr
+    ? [{ month: getWeekInfo(dateStr).month }]
+    : listWorklogFiles();
+  const dates = [];
+  const worklogFiles = [];
+
+  for (const { month } of files) {
+    const { file, doc } = loadWorklog(month);
+    const renamed = renameEntries(doc, dateStr, trackingId, to);
+    if (renamed.length > 0) {
+      saveWorklog(file, doc);
+      dates.push(...renamed);
+      worklogFiles.push(file);
+    }
   }
 
-  // Find or create task entry
-  let taskEntry = daySection.tasks.find((t) => t.trackingId === trackingId);
-
-  if (!taskEntry) {
-    taskEntry = {
-      type: 'task',
-      trackingId: trackingId,
-      summary: summary,
-      content: [],
-    };
-    daySection.tasks.push(taskEntry);
-  } else {
-    // Update summary if provided
-    taskEntry.summary = summary;
+  if (dates.length === 0) {
+    throw new Error(
+      `No entry for ${trackingId}${dateStr ? ` on ${dateStr}` : ''}`,
+    );
   }
 
-  // Add work items
-  for (const workItem of workItems) {
-    const workLine = `  - ${workItem}`;
-    if (!taskEntry.content.includes(workLine)) {
-      taskEntry.content.push(workLine);
+  // Keep commits logged for the old ID attached to the new one
+  const index = loadCommitIndex();
+  let commits = 0;
+  for (const record of Object.values(index.commits)) {
+    if (dateStr && record.date !== dateStr) {
+      continue;
+    }
+    for (const entry of record.entries) {
+      if (trackingIdKey(entry.trackingId) === trackingIdKey(trackingId)) {
+        entry.trackingId = to;
+        commits++;
+      }
     }
   }
+  if (commits > 0) {
+    saveCommitIndex(index);
+  }
 
-  // Rebuild content
-  let output = [];
+  return { worklogFiles, trackingId, to, dates: dates.sort(), commits };
+}
 
-  // Add header sections
-  const headerSections = sections.filter((s) => s.type === 'header');
-  for (const section of headerSections) {
-    output.push(...section.lines);
+/**
+ * Move an entry to another date, merging it into that day's entry for the
+ * same tracking ID
+ */
+function moveEntry(options) {
+  const { trackingId } = options;
+  requireTrackingId(trackingId);
+  if (!options.toDate) {
+    throw new Error('Missing required field: --to-date');
   }
 
-  // Add week sections
-  const weekSections = sections.filter((s) => s.type === 'week');
-  for (const week of weekSections) {
-    output.push('');
-    output.push(week.header);
-    output.push(...week.content);
-
-    // Add days
-    for (const day of week.days) {
-      output.push('');
-      output.push(day.header);
-      if (day.content.length > 0) {
-        output.push(...day.content);
-      }
+  const dateStr = options.date ? parseDate(options.date) : today(options.tz);
+  const toDate = parseDate(options.toDate);
+  if (toDate === dateStr) {
+    throw new Error(`${trackingId} is already on ${dateStr}`);
+  }
 
-      // Add tasks
-      for (const task of day.tasks) {
-        output.push('');
-        output.push(`- ${task.trackingId}: ${task.summary}`);
-        output.push(...task.content);
-      }
-    }
+  const source = loadWorklog(getWeekInfo(dateStr).month);
+  const weekInfo = getWeekInfo(toDate);
+  // Same month: both ends of the move are in one document
+  const target =
+    weekInfo.month === getWeekInfo(dateStr).month
+      ? source
+      : loadWorklog(weekInfo.month);
+
+  const entry = removeEntry(source.doc, dateStr, trackingId);
+  if (!entry) {
+    throw new Error(`No entry for ${trackingId} on ${dateStr}`);
   }
 
-  // Write file
-  const newContent = output.join('\n') + '\n';
-  fs.writeFileSync(worklogFile, newContent, 'utf-8');
+  const weekSection = findOrCreateWeek(target.doc, weekInfo);
+  const daySection = findOrCreateDay(weekSection, formatDateHeader(toDate));
+  addEntry(daySection, entry);
 
-  // Format with prettier
-  formatWorklog(worklogFile);
+  saveWorklog(source.file, source.doc);
+  if (target !== source) {
+    saveWorklog(target.file, target.doc);
+  }
 
   return {
-    worklogFile,
-    date: dateStr,
-    dailyHeader,
+    worklogFile: target.file,
+    sourceFile: source.file,
     trackingId,
-    summary,
-    workItems,
+    summary: entry.summary,
+    from: dateStr,
+    to: toDate,
   };
 }
 
@@ -331,21 +424,49 @@ if (require.main === module) {
   const args = parseArgs(process.argv.slice(2));
 
   try {
-    const result = logWork(args);
-    console.log(
-      JSON.stringify(
-        {
-          success: true,
-          message: `Added work entry for ${result.trackingId} on ${result.date}`,
-          worklogFile: result.worklogFile,
-          trackingId: result.trackingId,
-          summary: result.summary,
-          workItems: result.workItems,
-        },
-        null,
-        2,
-      ),
-    );
+    let output;
+
+    if (!COMMANDS.includes(args.command)) {
+      throw new Error(
+        `Unknown command "${args.command}" (expected ${COMMANDS.join(', ')})`,
+      );
+    } else if (args.command === 'remove') {
+      const result = removeWork(args);
+      output = {
+        success: true,
+        message: result.entryRemoved
+          ? `Removed entry for ${result.trackingId} on ${result.date}`
+          : `Removed ${result.removed.length} work item(s) from ${result.trackingId} on ${result.date}`,
+        ...result,
+      };
+    } else if (args.command === 'rename') {
+      const result = renameTrackingId(args);
+      output = {
+        success: true,
+        message: `Renamed ${result.trackingId} to ${result.to} on ${result.dates.length} day(s)`,
+        ...result,
+      };
+    } else if (args.command === 'move') {
+      const result = moveEntry(args);
+      output = {
+        success: true,
+        message: `Moved ${result.trackingId} from ${result.from} to ${result.to}`,
+        ...result,
+      };
+    } else {
+      const result = logWork(args);
+      output = {
+        success: true,
+        message: `Added work entry for ${result.trackingId} on ${result.date}`,
+        worklogFile: result.worklogFile,
+        trackingId: result.trackingId,
+        summary: result.summary,
+        workItems: result.workItems,
+        time: result.time === null ? null : formatDuration(result.time),
+      };
+    }
+
+    console.log(JSON.stringify(output, null, 2));
   } catch (error) {
     console.error(
       JSON.stringify(
@@ -361,4 +482,13 @@ if (require.main === module) {
   }
 }
 
-module.exports = { logWork, parseWorklog, formatDateHeader, compareDates };
+module.exports = {
+  logWork,
+  removeWork,
+  renameTrackingId,
+  moveEntry,
+  // Helpers of the pre-document-model log_work.cjs, same signatures
+  parseWorklog: parseWorklogSections,
+  formatDateHeader,
+  compareDates,
+};
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate worklogs to year-aware week sections
+ *
+ * For every `logs/YYYY-MM.md`:
+ * - Rewrites legacy `## Week N` headers to `## YYYY Week N`
+ * - Moves days filed under the wrong week into their week's section
+ * - Moves days filed in the wrong month file into their calendar month's file
+ * - Merges duplicate sections for the same week and sorts weeks and days
+ *   (newest first)
+ *
+ * Files that need no change are left untouched.
+ *
+ * Usage: node migrate_worklogs.cjs [--dry-run]
+ *
+ * Options:
+ *   --dry-run    Report the changes without writing files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getWorklogsPath } = require('./config.cjs');
+const { getWeekInfo, formatWeekHeader } = require('./get_week_info.cjs');
+const {
+  parseWorklog,
+  serializeWorklog,
+  createWorklog,
+  getDateWeek,
+  getWorkItems,
+  findOrCreateWeek,
+  findDay,
+  insertWeek,
+  insertDay,
+  upsertEntry,
+} = require('./worklog_document.cjs');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  return {
+    dryRun: argv.includes('--dry-run'),
+  };
+}
+
+/**
+ * Rewrite legacy week headers and merge duplicate week sections
+ */
+function migrateWeeks(doc, changes) {
+  const weeks = [];
+
+  for (const week of doc.weeks) {
+    if (week.legacy && week.weekYear) {
+      const header = week.header.replace(
+        /^## Week \d+/,
+        `## ${formatWeekHeader(week.weekYear, week.weekNumber)}`,
+      );
+      changes.push(`${week.header} → ${header}`);
+      week.header = header;
+      week.legacy = false;
+      week.dirty = true;
+    }
+
+    const existing = weeks.find((w) => w.weekKey && w.weekKey === week.weekKey);
+    if (existing) {
+      // Keep the first section's lists, append any other content
+      const extra = week.lines.filter(
+        (line) => line.trim() !== '' && !existing.lines.includes(line),
+      );
+      if (extra.length > 0) {
+        existing.lines.push('', ...extra);
+      }
+      existing.days.push(...week.days);
+      existing.dirty = true;
+      changes.push(`Merged duplicate section ${week.weekKey}`);
+    } else {
+      weeks.push(week);
+    }
+  }
+
+  doc.weeks = weeks;
+}
+
+/**
+ * Move days to the section of their week; returns days that belong
+ * to another month file
+ */
+function migrateDays(doc, month, changes) {
+  const misfiled = [];
+
+  for (const week of [...doc.weeks]) {
+    for (const day of [...week.days]) {
+      const date = day.date.replace(/\//g, '-');
+      const { weekYear, week: weekNumber } = getDateWeek(date);
+
+      if (date.slice(0, 7) !== month) {
+        week.days.splice(week.days.indexOf(day), 1);
+        misfiled.push(day);
+        changes.push(`Moved ${day.date} to ${date.slice(0, 7)}.md`);
+        continue;
+      }
+
+      if (week.weekYear === weekYear && week.weekNumber === weekNumber) {
+        continue;
+      }
+
+      const target = findOrCreateWeek(doc, getWeekInfo(date));
+      week.days.splice(week.days.indexOf(day), 1);
+      day.dirty = true;
+      insertDay(target, day);
+      changes.push(`Moved ${day.date} to ${target.weekKey}`);
+    }
+  }
+
+  return misfiled;
+}
+
+/**
+ * Sort weeks and days in descending order, marking moved sections dirty
+ */
+function sortSections(doc) {
+  const weeks = [...doc.weeks];
+  doc.weeks = [];
+  weeks.forEach((week, index) => {
+    insertWeek(doc, week);
+    if (doc.weeks.indexOf(week) !== index) {
+      week.dirty = true;
+    }
+
+    const days = [...week.days];
+    week.days = [];
+    days.forEach((day, dayIndex) => {
+      insertDay(week, day);
+      if (week.days.indexOf(day) !== dayIndex) {
+        day.dirty = true;
+      }
+    });
+  });
+}
+
+/**
+ * Add a day moved from another month file, merging with an existing day
+ */
+function addMovedDay(doc, day) {
+  const date = day.date.replace(/\//g, '-');
+  const existing = findDay(doc, date);
+
+  if (!existing) {
+    day.dirty = true;
+    insertDay(findOrCreateWeek(doc, getWeekInfo(date)), day);
+    return;
+  }
+
+  for (const entry of day.entries) {
+    upsertEntry(
+      existing,
+      entry.trackingId,
+      entry.summary,
+      getWorkItems(entry),
+      {
+        time: entry.time,
+      },
+    );
+  }
+}
+
+/**
+ * Migrate all worklog files
+ */
+function migrateWorklogs(options = {}) {
+  const logsDir = path.join(getWorklogsPath(), 'logs');
+  if (!fs.existsSync(logsDir)) {
+    return { logsDir, files: [] };
+  }
+
+  const docs = new Map();
+  const originals = new Map();
+  const changes = new Map();
+  const misfiled = [];
+
+  for (const file of fs.readdirSync(logsDir).sort()) {
+    const match = file.match(/^(\d{4}-\d{2})\.md$/);
+    if (!match) {
+      continue;
+    }
+
+    const month = match[1];
+    const content = fs.readFileSync(path.join(logsDir, file), 'utf-8');
+    const doc = parseWorklog(content, { month });
+    const fileChanges = [];
+
+    migrateWeeks(doc, fileChanges);
+    misfiled.push(...migrateDays(doc, month, fileChanges));
+
+    docs.set(month, doc);
+    originals.set(month, content);
+    changes.set(month, fileChanges);
+  }
+
+  for (const day of misfiled) {
+    const month = day.date.slice(0, 7).replace('/', '-');
+    if (!docs.has(month)) {
+      docs.set(month, createWorklog(month));
+      originals.set(month, null);
+      changes.set(month, []);
+    }
+    addMovedDay(docs.get(month), day);
+    changes.get(month).push(`Received ${day.date}`);
+  }
+
+  const files = [];
+  for (const [month, doc] of docs) {
+    sortSections(doc);
+
+    const content = serializeWorklog(doc);
+    if (content === originals.get(month)) {
+      continue;
+    }
+
+    const file = path.join(logsDir, `${month}.md`);
+    if (!options.dryRun) {
+      fs.writeFileSync(file, content, 'utf-8');
+    }
+    files.push({ file, changes: changes.get(month) });
+  }
+
+  return { logsDir, files };
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const result = migrateWorklogs(args);
+    console.log(
+      JSON.stringify(
+        {
+          success: true,
+          message: `${args.dryRun ? 'Would migrate' : 'Migrated'} ${result.files.length} worklog file(s)`,
+          dryRun: args.dryRun,
+          ...result,
+        },
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    console.error(
+      JSON.stringify(
+        {
+          success: false,
+          error: error.message,
+        },
+        null,
+        2,
+      ),
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = { migrateWorklogs };
@@ -4,21 +4,27 @@
  * Parse various task input formats
  *
  * Supports formats:
- * 1. Multi-line with JIRA ID:
+ * 1. Multi-line with tracking ID:
  *    PROJ-123
  *    [FE] Dashboard: Automations Triggers - Sensors
  *
- * 2. One-liner with JIRA ID:
+ * 2. One-liner with tracking ID:
  *    PROJ-123 [FE] Dashboard: Automations Triggers - Sensors
  *
- * 3. Multi-line without JIRA ID:
+ * 3. Multi-line without tracking ID:
  *    [FE] Dashboard: Automations Triggers - Sensors
  *
- * Usage: node parse_task_input.cjs <input-text>
+ * Tracking IDs follow tracking_id.cjs (PROJ-123, ENG-12a, #45, gh-45,
+ * 20260128), restricted to the project's issue tracker with --project.
+ *
+ * Usage: node parse_task_input.cjs [--project <name>] <input-text>
  * Output: JSON array of tasks
  */
 
-function parseTaskInput(input) {
+const { matchTrackingId } = require('./tracking_id.cjs');
+const { findProjectConfig } = require('./get_current_project.cjs');
+
+function parseTaskInput(input, issueTracker = null) {
   const lines = input
     .trim()
     .split('\n')
@@ -29,44 +35,36 @@ function parseTaskInput(input) {
   let currentTask = null;
 
   for (const line of lines) {
-    // Check if line looks like a JIRA ID (e.g., PROJ-123, ABC-456)
-    const jiraIdMatch = line.match(/^([A-Z]+-\d+)$/);
+    // Check if line starts with a tracking ID (e.g., PROJ-123, #45)
+    const idMatch = matchTrackingId(line, issueTracker);
 
-    if (jiraIdMatch) {
-      // Standalone JIRA ID - next line should be summary
+    if (idMatch && !idMatch.rest) {
+      // Standalone tracking ID - next line should be summary
       if (currentTask) {
         tasks.push(currentTask);
       }
-      currentTask = { trackingId: jiraIdMatch[1], summary: null };
-    } else {
-      // Check if line starts with JIRA ID followed by summary
-      const oneLineMatch = line.match(/^([A-Z]+-\d+)\s+(.+)$/);
-
-      if (oneLineMatch) {
-        // One-liner format: JIRA-ID Summary
-        if (currentTask) {
-          tasks.push(currentTask);
-        }
-        tasks.push({
-          trackingId: oneLineMatch[1],
-          summary: oneLineMatch[2],
-        });
-        currentTask = null;
-      } else {
-        // Regular summary line
-        if (currentTask && !currentTask.summary) {
-          // This is the summary for the previous JIRA ID
-          currentTask.summary = line;
-          tasks.push(currentTask);
-          currentTask = null;
-        } else {
-          // Summary without JIRA ID
-          tasks.push({
-            trackingId: null,
-            summary: line,
-          });
-        }
+      currentTask = { trackingId: idMatch.trackingId, summary: null };
+    } else if (idMatch) {
+      // One-liner format: TRACKING-ID Summary
+      if (currentTask) {
+        tasks.push(currentTask);
       }
+      tasks.push({
+        trackingId: idMatch.trackingId,
+        summary: idMatch.rest,
+      });
+      currentTask = null;
+    } else if (currentTask && !currentTask.summary) {
+      // This is the summary for the previous tracking ID
+      currentTask.summary = line;
+      tasks.push(currentTask);
+      currentTask = null;
+    } else {
+      // Summary without tracking ID
+      tasks.push({
+        trackingId: null,
+        summary: line,
+      });
     }
   }
 
@@ -76,7 +74,7 @@ function parseTaskInput(input) {
       tasks.push(currentTask);
     } else {
       console.error(
-        `Warning: JIRA ID ${currentTask.trackingId} has no summary`,
+        `Warning: Tracking ID ${currentTask.trackingId} has no summary`,
       );
     }
   }
@@ -86,10 +84,24 @@ function parseTaskInput(input) {
 
 // Main
 if (require.main === module) {
-  const input = process.argv.slice(2).join(' ');
+  const args = process.argv.slice(2);
+  const words = [];
+  let projectName = null;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--project' && i + 1 < args.length) {
+      projectName = args[++i];
+    } else {
+      words.push(args[i]);
+    }
+  }
+
+  const input = words.join(' ');
 
   if (!input) {
-    console.error('Usage: node parse_task_input.cjs <input-text>');
+    console.error(
+      'Usage: node parse_task_input.cjs [--project <name>] <input-text>',
+    );
     console.error('');
     console.error('Example:');
     console.error(
@@ -98,7 +110,17 @@ if (require.main === module) {
     process.exit(1);
   }
 
-  const tasks = parseTaskInput(input);
+  let issueTracker = null;
+  if (projectName) {
+    const project = findProjectConfig(projectName);
+    if (!project) {
+      console.error(`Error: Project "${projectName}" not found`);
+      process.exit(1);
+    }
+    issueTracker = project.config.issueTracker || null;
+  }
+
+  const tasks = parseTaskInput(input, issueTracker);
   console.log(JSON.stringify(tasks, null, 2));
 }
 
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * Monthly, quarterly or custom range report over the worklogs
+ *
+ * Reads every `logs/YYYY-MM.md` in the range and aggregates each tracking
+ * ID: days worked, first and last date, time spent and all work items. IDs
+ * are attributed to projects through their task files, and linked to the
+ * project's issue tracker (`issueTracker.baseUrl` in project.json).
+ *
+ * Usage: node report.cjs [options]
+ *
+ * Options:
+ *   --month <YYYY-MM>         Report a month (default: the current month)
+ *   --quarter <YYYY-Qn>       Report a quarter, e.g. 2026-Q4
+ *   --since <YYYY-MM-DD>      Start of a custom range
+ *   --until <YYYY-MM-DD>      End of a custom range (default: today)
+ *   --project <name>          Only tracking IDs of this project
+ *   --group-by <field>        project, week or none (default: none)
+ *   --format <format>         md, json or csv (default: md)
+ *   --output <file>           Write the report to a file instead of stdout
+ *   --tz <timezone>           Timezone for today (default: config, then system)
+ *
+ * Examples:
+ *   node report.cjs --month 2026-10
+ *   node report.cjs --quarter 2026-Q4 --group-by project --format csv --output q4.csv
+ *   node report.cjs --since 2026-10-01 --until 2026-10-15 --group-by week
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  findProjectConfig,
+  listProjects,
+} = require('./get_current_project.cjs');
+const { listTasks } = require('./find_task.cjs');
+const { getTrackingIdUrl, trackingIdKey } = require('./tracking_id.cjs');
+const { listAllEntries } = require('./worklog_document.cjs');
+const { formatWeekKey } = require('./get_week_info.cjs');
+const { today, parseDate, addDays, getWeek } = require('./dates.cjs');
+const { formatDuration } = require('./durations.cjs');
+
+const GROUP_BY = ['project', 'week', 'none'];
+const FORMATS = ['md', 'json', 'csv'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    month: null,
+    quarter: null,
+    since: null,
+    until: null,
+    project: null,
+    groupBy: 'none',
+    format: 'md',
+    output: null,
+    tz: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--month' && i + 1 < argv.length) {
+      args.month = argv[++i];
+    } else if (arg === '--quarter' && i + 1 < argv.length) {
+      args.quarter = argv[++i];
+    } else if (arg === '--since' && i + 1 < argv.length) {
+      args.since = argv[++i];
+    } else if (arg === '--until' && i + 1 < argv.length) {
+      args.until = argv[++i];
+    } else if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--group-by' && i + 1 < argv.length) {
+      args.groupBy = argv[++i];
+    } else if (arg === '--format' && i + 1 < argv.length) {
+      args.format = argv[++i];
+    } else if (arg === '--output' && i + 1 < argv.length) {
+      args.output = argv[++i];
+    } else if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Get the first and last day of a range of months
+ */
+function getMonthsRange(firstMonth, count) {
+  const start = parseDate(`${firstMonth}-01`);
+  let next = start;
+  for (let i = 0; i < count; i++) {
+    next = addDays(next, 32).slice(0, 8) + '01';
+  }
+  return { start, end: addDays(next, -1) };
+}
+
+/**
+ * Resolve the report range: { label, start, end }
+ */
+function resolveRange(options = {}) {
+  if (options.since || options.until) {
+    const start = options.since ? parseDate(options.since) : null;
+    const end = options.until ? parseDate(options.until) : today(options.tz);
+    if (!start) {
+      throw new Error('--until needs --since');
+    }
+    if (start > end) {
+      throw new Error(`Invalid range: ${start} is after ${end}`);
+    }
+    return { label: `${start} to ${end}`, start, end };
+  }
+
+  if (options.quarter) {
+    const match = options.quarter.match(/^(\d{4})-?Q([1-4])$/i);
+    if (!match) {
+      throw new Error(
+        `Invalid quarter: ${options.quarter} (expected YYYY-Qn, e.g. 2026-Q4)`,
+      );
+    }
+    const firstMonth = `${match[1]}-${String(match[2] * 3 - 2).padStart(2, '0')}`;
+    return {
+      label: `${match[1]}-Q${match[2]}`,
+      ...getMonthsRange(firstMonth, 3),
+    };
+  }
+
+  const month = options.month || today(options.tz).slice(0, 7);
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    throw new Error(`Invalid month: ${month} (expected YYYY-MM)`);
+  }
+  return { label: month, ...getMonthsRange(month, 1) };
+}
+
+/**
+ * Map tracking ID keys to the project of their task file
+ */
+function getTaskProjects() {
+  const projects = new Map();
+
+  for (const name of listProjects()) {
+    const project = findProjectConfig(name);
+    for (const task of listTasks(project.tasksPath)) {
+      if (task.trackingId) {
+        projects.set(trackingIdKey(task.trackingId), project);
+      }
+    }
+  }
+
+  return projects;
+}
+
+/**
+ * Aggregate entries per tracking ID, in order of first appearance
+ */
+function aggregateEntries(entries, taskProjects, fallbackProject) {
+  const rows = new Map();
+
+  for (const entry of entries) {
+    const key = trackingIdKey(entry.trackingId);
+    let row = rows.get(key);
+
+    if (!row) {
+      const project = taskProjects.get(key) || fallbackProject;
+      row = {
+        trackingId: entry.trackingId,
+        summary: entry.summary,
+        project: taskProjects.has(key) ? project.name : null,
+        url: project
+          ? getTrackingIdUrl(entry.trackingId, project.config.issueTracker)
+          : null,
+        dates: new Set(),
+        minutes: 0,
+        workItems: [],
+      };
+      rows.set(key, row);
+    }
+
+    // Entries are oldest first, so the latest summary wins
+    row.summary = entry.summary;
+    row.dates.add(entry.date);
+    row.minutes += entry.time || 0;
+    for (const item of entry.workItems) {
+      if (!row.workItems.includes(item)) {
+        row.workItems.push(item);
+      }
+    }
+  }
+
+  return [...rows.values()].map(({ dates, minutes, ...row }) => {
+    const sorted = [...dates].sort();
+    return {
+      ...row,
+      days: sorted.length,
+      firstDate: sorted[0],
+      lastDate: sorted[sorted.length - 1],
+      time: minutes > 0 ? formatDuration(minutes) : null,
+      minutes,
+    };
+  });
+}
+
+/**
+ * Build a report over the worklogs:
+ * { range, groupBy, totals, groups: [{ name, trackingIds }] }
+ */
+function buildReport(options = {}) {
+  const groupBy = options.groupBy || 'none';
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(
+      `Invalid --group-by "${groupBy}" (expected ${GROUP_BY.join(', ')})`,
+    );
+  }
+
+  let project = null;
+  if (options.project) {
+    project = findProjectConfig(options.project);
+    if (!project) {
+      throw new Error(`Project "${options.project}" not found`);
+    }
+  }
+
+  const range = resolveRange(options);
+  const taskProjects = getTaskProjects();
+  const entries = listAllEntries(range.start, range.end).filter(
+    (entry) =>
+      !project ||
+      (taskProjects.get(trackingIdKey(entry.trackingId)) || {}).name ===
+        project.name,
+  );
+
+  // Split entries into groups, then aggregate each group
+  const groups = new Map();
+  for (const entry of entries) {
+    let name = 'all';
+    if (groupBy === 'week') {
+      const { weekYear, week } = getWeek(entry.date);
+      name = formatWeekKey(weekYear, week);
+    } else if (groupBy === 'project') {
+      const owner = taskProjects.get(trackingIdKey(entry.trackingId));
+      name = owner ? owner.name : null;
+    }
+    if (!groups.has(name)) {
+      groups.set(name, []);
+    }
+    groups.get(name).push(entry);
+  }
+
+  const names = [...groups.keys()].sort((a, b) =>
+    a === null ? 1 : b === null ? -1 : a.localeCompare(b),
+  );
+  const minutes = entries.reduce((sum, entry) => sum + (entry.time || 0), 0);
+
+  return {
+    range,
+    groupBy,
+    totals: {
+      trackingIds: new Set(entries.map((e) => trackingIdKey(e.trackingId)))
+        .size,
+      days: new Set(entries.map((e) => e.date)).size,
+      time: minutes > 0 ? formatDuration(minutes) : null,
+      minutes,
+    },
+    groups: names.map((name) => ({
+      name,
+      trackingIds: aggregateEntries(groups.get(name), taskProjects, project),
+    })),
+  };
+}
+
+/**
+ * Format a tracking ID as a markdown link when it has a URL
+ */
+function formatIdLink(row) {
+  return row.url ? `[${row.trackingId}](${row.url})` : row.trackingId;
+}
+
+/**
+ * Format a report as markdown
+ */
+function formatMarkdownReport(report) {
+  const { range, totals } = report;
+  const lines = [
+    `# Report ${range.label}`,
+    '',
+    `${range.start} to ${range.end}: ${totals.trackingIds} tracking IDs, ` +
+      `${totals.days} days worked` +
+      (totals.time ? `, ${totals.time}` : ''),
+  ];
+
+  for (const group of report.groups) {
+    const heading = report.groupBy === 'none' ? '##' : '###';
+    if (report.groupBy !== 'none') {
+      lines.push('', `## ${group.name === null ? 'No project' : group.name}`);
+    }
+
+    for (const row of group.trackingIds) {
+      const dates =
+        row.firstDate === row.lastDate
+          ? row.firstDate
+          : `${row.firstDate} to ${row.lastDate}`;
+      lines.push(
+        '',
+        `${heading} ${formatIdLink(row)}: ${row.summary}`,
+        '',
+        `- Days: ${row.days} (${dates})`,
+      );
+      if (row.time) {
+        lines.push(`- Time: ${row.time}`);
+      }
+      if (report.groupBy !== 'project' && row.project) {
+        lines.push(`- Project: ${row.project}`);
+      }
+      if (row.workItems.length > 0) {
+        lines.push('- Work:', ...row.workItems.map((item) => `  - ${item}`));
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a report as CSV, one row per tracking ID (per week when grouped
+ * by week)
+ */
+function formatCsvReport(report) {
+  // The project column already tells the project groups apart
+  const byWeek = report.groupBy === 'week';
+  const header = [
+    ...(byWeek ? ['week'] : []),
+    'tracking_id',
+    'summary',
+    'project',
+    'url',
+    'days',
+    'first_date',
+    'last_date',
+    'minutes',
+    'work_items',
+  ];
+  const rows = report.groups.flatMap((group) =>
+    group.trackingIds.map((row) => [
+      ...(byWeek ? [group.name] : []),
+      row.trackingId,
+      row.summary,
+      row.project,
+      row.url,
+      row.days,
+      row.firstDate,
+      row.lastDate,
+      row.minutes,
+      row.workItems.join('; '),
+    ]),
+  );
+
+  return (
+    [header, ...rows].map((row) => row.map(csvField).join(',')).join('\n') +
+    '\n'
+  );
+}
+
+/**
+ * Format a report in md, json or csv
+ */
+function formatReport(report, format = 'md') {
+  if (!FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid --format "${format}" (expected ${FORMATS.join(', ')})`,
+    );
+  }
+  if (format === 'json') {
+    return JSON.stringify(report, null, 2) + '\n';
+  }
+  return format === 'csv'
+    ? formatCsvReport(report)
+    : formatMarkdownReport(report);
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const output = formatReport(buildReport(args), args.format);
+
+    if (args.output) {
+      const file = path.resolve(args.output);
+      fs.writeFileSync(file, output, 'utf-8');
+      console.log(
+        JSON.stringify(
+          { success: true, message: `Report written to ${file}`, file },
+          null,
+          2,
+        ),
+      );
+    } else {
+      process.stdout.write(output);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  getTaskProjects,
+  resolveRange,
+  buildReport,
+  formatReport,
+};
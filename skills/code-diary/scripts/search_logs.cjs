@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+
+/**
+ * Full-text search across the monthly worklogs
+ *
+ * Searches the tracking ID, summary and work items of every entry in
+ * `logs/*.md` and returns the matching entries, newest first, with their
+ * date, week and tracking ID. A query is a set of words and "quoted
+ * phrases" that must all appear in the entry (case-insensitive, any order);
+ * with --regex it is a regular expression matched against each line.
+ *
+ * Parsed entries are cached in `logs/.search-index.json`, keyed by file
+ * with its size and modification time, so only changed worklogs are parsed
+ * again.
+ *
+ * Usage: node search_logs.cjs [options] <query>
+ *
+ * Options:
+ *   --regex                   Treat the query as a regular expression
+ *   --case-sensitive          Match case (default: ignore case)
+ *   --since <YYYY-MM-DD>      Only entries on or after this date
+ *   --until <YYYY-MM-DD>      Only entries on or before this date
+ *   --project <name>          Only tracking IDs of this project
+ *   --limit <n>               Return at most n entries
+ *   --rebuild-index           Parse every worklog again
+ *   --json                    Output JSON instead of text
+ *
+ * Examples:
+ *   node search_logs.cjs "redirect loop"
+ *   node search_logs.cjs 'oauth "login form"' --since 2026-01-01
+ *   node search_logs.cjs --regex "PROJ-1\d{2}" --project my-project --json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getWorklogsPath } = require('./config.cjs');
+const { findProjectConfig } = require('./get_current_project.cjs');
+const { trackingIdKey } = require('./tracking_id.cjs');
+const {
+  parseWorklog,
+  listEntries,
+  listWorklogFiles,
+} = require('./worklog_document.cjs');
+const { getTaskProjects } = require('./report.cjs');
+const { parseDate } = require('./dates.cjs');
+
+const INDEX_VERSION = 1;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    query: null,
+    regex: false,
+    caseSensitive: false,
+    since: null,
+    until: null,
+    project: null,
+    limit: null,
+    rebuildIndex: false,
+    json: false,
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--regex') {
+      args.regex = true;
+    } else if (arg === '--case-sensitive') {
+      args.caseSensitive = true;
+    } else if (arg === '--since' && i + 1 < argv.length) {
+      args.since = argv[++i];
+    } else if (arg === '--until' && i + 1 < argv.length) {
+      args.until = argv[++i];
+    } else if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--limit' && i + 1 < argv.length) {
+      args.limit = Number(argv[++i]);
+    } else if (arg === '--rebuild-index') {
+      args.rebuildIndex = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  args.query = positional.length > 0 ? positional.join(' ') : null;
+  return args;
+}
+
+/**
+ * Get the search index file path
+ */
+function getSearchIndexFile() {
+  return path.join(getWorklogsPath(), 'logs', '.search-index.json');
+}
+
+/**
+ * Load the search index, or an empty one if it doesn't exist yet or was
+ * written by another version
+ */
+function loadSearchIndex() {
+  const file = getSearchIndexFile();
+  const empty = { version: INDEX_VERSION, files: {} };
+  if (!fs.existsSync(file)) {
+    return empty;
+  }
+
+  try {
+    const index = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return index.version === INDEX_VERSION ? { ...empty, ...index } : empty;
+  } catch (error) {
+    // A corrupt cache is rebuilt rather than reported
+    return empty;
+  }
+}
+
+/**
+ * Bring the search index up to date with the worklogs, parsing only new or
+ * changed files. Returns { index, changed }.
+ */
+function updateSearchIndex(options = {}) {
+  const index = options.rebuild
+    ? { version: INDEX_VERSION, files: {} }
+    : loadSearchIndex();
+  const files = {};
+  let changed = options.rebuild === true;
+
+  for (const { month, file } of listWorklogFiles()) {
+    const name = path.basename(file);
+    const { size, mtimeMs } = fs.statSync(file);
+    const cached = index.files[name];
+
+    if (cached && cached.size === size && cached.mtimeMs === mtimeMs) {
+      files[name] = cached;
+    } else {
+      const doc = parseWorklog(fs.readFileSync(file, 'utf-8'), { month });
+      files[name] = { month, size, mtimeMs, entries: listEntries(doc) };
+      changed = true;
+    }
+  }
+
+  if (Object.keys(index.files).some((name) => !files[name])) {
+    changed = true;
+  }
+
+  const updated = { version: INDEX_VERSION, files };
+  if (changed) {
+    const file = getSearchIndexFile();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(updated) + '\n', 'utf-8');
+  }
+
+  return { index: updated, changed };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split a query into words and "quoted phrases"
+ */
+function parseQuery(query) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const term = (match[1] || match[2]).trim();
+    if (term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Build a matcher for a query: { terms, regex } where every term must
+ * appear somewhere in an entry and `regex` finds the matched text
+ */
+function buildMatcher(query, options = {}) {
+  const flags = options.caseSensitive ? 'g' : 'gi';
+
+  if (options.regex) {
+    // An invalid pattern throws "Invalid regular expression: ..."
+    const regex = new RegExp(query, flags);
+    return { terms: [regex], regex };
+  }
+
+  const terms = parseQuery(query).map(
+    (term) => new RegExp(escapeRegExp(term), flags),
+  );
+  if (terms.length === 0) {
+    throw new Error('Empty search query');
+  }
+
+  return {
+    terms,
+    regex: new RegExp(terms.map((term) => term.source).join('|'), flags),
+  };
+}
+
+/**
+ * Test a regex against text without leaking lastIndex between calls
+ */
+function testRegExp(regex, text) {
+  regex.lastIndex = 0;
+  return regex.test(text);
+}
+
+/**
+ * Wrap the matched parts of a line in **...**
+ */
+function highlight(text, regex) {
+  regex.lastIndex = 0;
+  return text.replace(regex, (match) => (match ? `**${match}**` : match));
+}
+
+/**
+ * Match an entry against a matcher. Returns the matched lines
+ * (highlighted), or null when the entry doesn't match.
+ */
+function matchEntry(entry, matcher) {
+  const lines = [`${entry.trackingId}: ${entry.summary}`, ...entry.workItems];
+
+  const matches = matcher.terms.every((term) =>
+    lines.some((line) => testRegExp(term, line)),
+  );
+  if (!matches) {
+    return null;
+  }
+
+  return lines
+    .filter((line) => testRegExp(matcher.regex, line))
+    .map((line) => highlight(line, matcher.regex));
+}
+
+/**
+ * Search the worklogs. Returns
+ * { query, total, results: [{ date, weekKey, trackingId, summary, project,
+ * time, matches }] }, newest first.
+ */
+function searchLogs(query, options = {}) {
+  if (!query || !query.trim()) {
+    throw new Error('Empty search query');
+  }
+
+  const since = options.since ? parseDate(options.since) : null;
+  const until = options.until ? parseDate(options.until) : null;
+  if (since && until && since > until) {
+    throw new Error(`Invalid range: ${since} is after ${until}`);
+  }
+  if (
+    options.limit !== null &&
+    options.limit !== undefined &&
+    (!Number.isInteger(options.limit) || options.limit < 1)
+  ) {
+    throw new Error('Invalid --limit: expected a positive number');
+  }
+
+  let project = null;
+  if (options.project) {
+    project = findProjectConfig(options.project);
+    if (!project) {
+      throw new Error(`Project "${options.project}" not found`);
+    }
+  }
+
+  const matcher = buildMatcher(query, options);
+  const taskProjects = getTaskProjects();
+  const { index } = updateSearchIndex({ rebuild: options.rebuildIndex });
+  const results = [];
+
+  for (const file of Object.values(index.files)) {
+    // Skip whole months outside the range
+    if (
+      (since && file.month < since.slice(0, 7)) ||
+      (until && file.month > until.slice(0, 7))
+    ) {
+      continue;
+    }
+
+    for (const entry of file.entries) {
+      if ((since && entry.date < since) || (until && entry.date > until)) {
+        continue;
+      }
+
+      const owner = taskProjects.get(trackingIdKey(entry.trackingId));
+      if (project && (!owner || owner.name !== project.name)) {
+        continue;
+      }
+
+      const matches = matchEntry(entry, matcher);
+      if (matches) {
+        results.push({
+          date: entry.date,
+          weekKey: entry.weekKey,
+          trackingId: entry.trackingId,
+          summary: entry.summary,
+          project: owner ? owner.name : null,
+          time: entry.time,
+          matches,
+        });
+      }
+    }
+  }
+
+  results.sort((a, b) => b.date.localeCompare(a.date));
+
+  return {
+    query,
+    total: results.length,
+    results: options.limit ? results.slice(0, options.limit) : results,
+  };
+}
+
+/**
+ * Format search results as readable text
+ */
+function formatResults(search) {
+  if (search.total === 0) {
+    return `No worklog entries match "${search.query}"`;
+  }
+
+  const lines = [];
+  for (const result of search.results) {
+    lines.push(
+      `${result.date} (${result.weekKey || '?'}) ${result.trackingId}: ${result.summary}` +
+        (result.project ? ` [${result.project}]` : ''),
+      ...result.matches.map((match) => `  - ${match}`),
+    );
+  }
+
+  if (search.results.length < search.total) {
+    lines.push('', `${search.results.length} of ${search.total} entries`);
+  }
+
+  return lines.join('\n');
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.query) {
+    console.error('Usage: node search_logs.cjs [options] <query>');
+    console.error('');
+    console.error('Options:');
+    console.error('  --regex               Query is a regular expression');
+    console.error('  --case-sensitive      Match case');
+    console.error('  --since <YYYY-MM-DD>  Only entries on or after this date');
+    console.error(
+      '  --until <YYYY-MM-DD>  Only entries on or before this date',
+    );
+    console.error('  --project <name>      Only tracking IDs of this project');
+    console.error('  --limit <n>           Return at most n entries');
+    console.error('  --rebuild-index       Parse every worklog again');
+    console.error('  --json                Output JSON');
+    process.exit(1);
+  }
+
+  try {
+    const search = searchLogs(args.query, args);
+    console.log(
+      args.json ? JSON.stringify(search, null, 2) : formatResults(search),
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  getSearchIndexFile,
+  updateSearchIndex,
+  searchLogs,
+  formatResults,
+};
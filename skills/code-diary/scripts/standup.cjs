@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+
+/**
+ * Daily standup: Yesterday / Today / Blockers as markdown
+ *
+ * "Yesterday" is what was logged since the previous working day, skipping
+ * weekends and the `holidays` of the config (work logged on days in between
+ * is included too). "Today" lists the tasks in `tasks/working` across all
+ * projects. "Blockers" collects open tasks with a `blocker` frontmatter
+ * field or a Notes line starting with `Blocker:` or `Blocked:`.
+ *
+ * Usage: node standup.cjs [options]
+ *
+ * Options:
+ *   --date <YYYY-MM-DD>       Standup day (default: today)
+ *   --project <name>          Only tasks and tracking IDs of this project
+ *   --tz <timezone>           Timezone for today (default: config, then system)
+ *   --json                    Output JSON instead of markdown
+ *
+ * Examples:
+ *   node standup.cjs
+ *   node standup.cjs --date 2026-10-19
+ *   node standup.cjs --project my-project --json
+ */
+
+const { loadConfig } = require('./config.cjs');
+const {
+  findProjectConfig,
+  listProjects,
+} = require('./get_current_project.cjs');
+const { listTasks } = require('./find_task.cjs');
+const { loadFrontmatter } = require('./frontmatter.cjs');
+const {
+  ARCHIVED_STATUS,
+  getTaskStatuses,
+  loadProjectConfig,
+} = require('./task_lifecycle.cjs');
+const { trackingIdKey } = require('./tracking_id.cjs');
+const { listAllEntries } = require('./worklog_document.cjs');
+const { getTaskProjects } = require('./report.cjs');
+const { getTaskNotes } = require('./history.cjs');
+const {
+  today,
+  parseDate,
+  addDays,
+  getDayOfWeek,
+  formatLocaleDate,
+} = require('./dates.cjs');
+const { splitTimeAnnotation } = require('./durations.cjs');
+
+const BLOCKER_LINE = /^\s*(?:[-*+]\s+)?(?:blocker|blocked)\s*:\s*(.+)$/i;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    date: null,
+    project: null,
+    tz: null,
+    json: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--date' && i + 1 < argv.length) {
+      args.date = argv[++i];
+    } else if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Get the configured holidays as YYYY-MM-DD dates
+ */
+function getHolidays() {
+  return (loadConfig().holidays || []).map((date) => parseDate(date));
+}
+
+/**
+ * Check whether a date is a working day (not a weekend or holiday)
+ */
+function isWorkingDay(date, holidays = []) {
+  const day = getDayOfWeek(date);
+  return day !== 0 && day !== 6 && !holidays.includes(date);
+}
+
+/**
+ * Get the working day before a date
+ */
+function getPreviousWorkingDay(date, holidays = []) {
+  let previous = addDays(date, -1);
+
+  // A year of holidays would be a configuration error
+  for (let i = 0; i < 366 && !isWorkingDay(previous, holidays); i++) {
+    previous = addDays(previous, -1);
+  }
+
+  return previous;
+}
+
+/**
+ * Get the blockers of a task: its `blocker` frontmatter field and the
+ * Notes lines marked `Blocker:` / `Blocked:`
+ */
+function getTaskBlockers(data, body) {
+  const blockers = [];
+
+  if (data.blocker) {
+    blockers.push(data.blocker);
+  }
+  for (const line of getTaskNotes(body).split('\n')) {
+    const match = line.match(BLOCKER_LINE);
+    if (match) {
+      blockers.push(match[1].trim());
+    }
+  }
+
+  return blockers;
+}
+
+/**
+ * Collect working tasks and blockers of open tasks across projects
+ */
+function collectTasks(projects) {
+  const working = [];
+  const blockers = [];
+
+  for (const project of projects) {
+    const statuses = getTaskStatuses(
+      loadProjectConfig(project.tasksPath),
+    ).filter((status) => status !== ARCHIVED_STATUS);
+
+    for (const task of listTasks(project.tasksPath, statuses)) {
+      if (task.status === 'working') {
+        working.push({
+          project: project.name,
+          trackingId: task.trackingId,
+          summary: task.summary,
+        });
+      }
+
+      const { data, body } = loadFrontmatter(task.path);
+      for (const blocker of getTaskBlockers(data, body)) {
+        blockers.push({
+          project: project.name,
+          trackingId: task.trackingId,
+          summary: task.summary,
+          blocker,
+        });
+      }
+    }
+  }
+
+  return { working, blockers };
+}
+
+/**
+ * Group worklog entries by tracking ID, merging their work items
+ */
+function groupEntries(entries) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = trackingIdKey(entry.trackingId);
+    const group = groups.get(key) || {
+      trackingId: entry.trackingId,
+      summary: entry.summary,
+      workItems: [],
+    };
+    group.summary = entry.summary;
+    for (const item of entry.workItems) {
+      const { text } = splitTimeAnnotation(item);
+      if (!group.workItems.includes(text)) {
+        group.workItems.push(text);
+      }
+    }
+    groups.set(key, group);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Build the standup for a day:
+ * { date, since, yesterday, today, blockers }
+ */
+function buildStandup(options = {}) {
+  const date = options.date ? parseDate(options.date) : today(options.tz);
+  const since = getPreviousWorkingDay(date, getHolidays());
+
+  let projects;
+  if (options.project) {
+    const project = findProjectConfig(options.project);
+    if (!project) {
+      throw new Error(`Project "${options.project}" not found`);
+    }
+    projects = [project];
+  } else {
+    projects = listProjects().map((name) => findProjectConfig(name));
+  }
+
+  const taskProjects = options.project ? getTaskProjects() : null;
+  const entries = listAllEntries(since, addDays(date, -1)).filter((entry) => {
+    if (!taskProjects) {
+      return true;
+    }
+    const owner = taskProjects.get(trackingIdKey(entry.trackingId));
+    return owner && owner.name === projects[0].name;
+  });
+  const { working, blockers } = collectTasks(projects);
+
+  return {
+    date,
+    since,
+    yesterday: groupEntries(entries),
+    today: working,
+    blockers,
+  };
+}
+
+/**
+ * Format a standup as markdown ready to paste into chat
+ */
+function formatStandup(standup, locale = loadConfig().locale) {
+  const day = formatLocaleDate(standup.since, locale, {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+  });
+  const lines = [`**Yesterday** (${day})`];
+
+  if (standup.yesterday.length === 0) {
+    lines.push('- Nothing logged');
+  }
+  for (const group of standup.yesterday) {
+    lines.push(`- ${group.trackingId}: ${group.summary}`);
+    lines.push(...group.workItems.map((item) => `  - ${item}`));
+  }
+
+  lines.push('', '**Today**');
+  if (standup.today.length === 0) {
+    lines.push('- No tasks in progress');
+  }
+  for (const task of standup.today) {
+    lines.push(`- ${task.trackingId || '-'}: ${task.summary || ''}`.trim());
+  }
+
+  lines.push('', '**Blockers**');
+  if (standup.blockers.length === 0) {
+    lines.push('- None');
+  }
+  for (const item of standup.blockers) {
+    lines.push(`- ${item.trackingId || item.summary}: ${item.blocker}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const standup = buildStandup(args);
+    console.log(
+      args.json ? JSON.stringify(standup, null, 2) : formatStandup(standup),
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  isWorkingDay,
+  getPreviousWorkingDay,
+  getTaskBlockers,
+  buildStandup,
+  formatStandup,
+};
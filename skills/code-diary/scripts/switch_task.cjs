@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Switch to a task: move it to working/ and check out its git branch
+ *
+ * Usage: node switch_task.cjs [options] <search-term>
+ *
+ * Options:
+ *   --project <name>   Project name (default: detected from --cwd)
+ *   --cwd <path>       Git repository path (default: current directory)
+ *   --dry-run          Show the file move and git commands without running them
+ *
+ * Examples:
+ *   node switch_task.cjs PROJ-123
+ *   node switch_task.cjs --dry-run "dashboard automations"
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const { resolveProject } = require('./get_current_project.cjs');
+const { findSingleTask, taskError } = require('./find_task.cjs');
+const { transitionTask } = require('./task_lifecycle.cjs');
+const { parseFrontmatter } = require('./frontmatter.cjs');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    project: null,
+    cwd: process.cwd(),
+    dryRun: false,
+    searchTerm: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--cwd' && i + 1 < argv.length) {
+      args.cwd = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (!args.searchTerm) {
+      args.searchTerm = arg;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Run git with an argument array (no shell) and return its output
+ */
+function git(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+/**
+ * List uncommitted changes and untracked files from
+ * `git status --porcelain -z`. Renamed and copied files are listed by their
+ * new path, with the old one in `from`.
+ */
+function getChangedFiles(cwd) {
+  const fields = git(['status', '--porcelain', '-z'], cwd).split('\0');
+  const files = [];
+
+  for (let i = 0; i < fields.length; i++) {
+    if (!fields[i]) {
+      continue;
+    }
+    const status = fields[i].slice(0, 2);
+    const file = { status: status.trim(), path: fields[i].slice(3) };
+    if (/[RC]/.test(status)) {
+      file.from = fields[++i];
+    }
+    files.push(file);
+  }
+
+  return files;
+}
+
+/**
+ * Format a git argument array as a readable command
+ */
+function formatGitCommand(args) {
+  return ['git', ...args]
+    .map((arg) => (/^[\w./@{}=:-]+$/.test(arg) ? arg : JSON.stringify(arg)))
+    .join(' ');
+}
+
+/**
+ * Check whether a ref exists in the repository
+ */
+function refExists(ref, cwd) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', ref], cwd);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the branch name from the task frontmatter
+ */
+function getTaskBranch(content) {
+  const branch = parseFrontmatter(content).data.branch;
+  return typeof branch === 'string' ? branch.trim() || null : null;
+}
+
+/**
+ * Check that a name is a valid branch name (not an option or a bad ref)
+ */
+function assertBranchName(branch, cwd) {
+  try {
+    git(['check-ref-format', '--branch', branch], cwd);
+  } catch (error) {
+    throw taskError('INVALID_BRANCH', `Invalid branch name: ${branch}`, {
+      branch,
+    });
+  }
+}
+
+/**
+ * Build the git commands (argument arrays) needed to check out the task
+ * branch
+ */
+function planGitCommands(branch, mainBranch, cwd) {
+  assertBranchName(branch, cwd);
+  assertBranchName(mainBranch, cwd);
+
+  const currentBranch = git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd).trim();
+
+  if (currentBranch === branch) {
+    return [];
+  }
+
+  if (
+    refExists(`refs/heads/${branch}`, cwd) ||
+    refExists(`refs/remotes/origin/${branch}`, cwd)
+  ) {
+    return [['checkout', branch]];
+  }
+
+  // Only pull when the main branch tracks a remote branch
+  const hasUpstream =
+    refExists(`${mainBranch}@{upstream}`, cwd) ||
+    refExists(`refs/remotes/origin/${mainBranch}`, cwd);
+  const pull = hasUpstream ? [['pull']] : [];
+
+  return [['checkout', mainBranch], ...pull, ['checkout', '-b', branch]];
+}
+
+/**
+ * Switch to a task
+ */
+function switchTask(searchTerm, options = {}) {
+  if (!searchTerm) {
+    throw new Error('Missing required argument: <search-term>');
+  }
+
+  const cwd = options.cwd || process.cwd();
+  const project = resolveProject({ ...options, cwd });
+  const { config, tasksPath } = project;
+  const repository = config.repository || {};
+  const mainBranch = repository.mainBranch || 'main';
+  const branchRule = repository.featureBranchRule || 'feat/{filename}';
+
+  const task = findSingleTask(tasksPath, searchTerm);
+  const content = fs.readFileSync(task.path, 'utf-8');
+  const branch =
+    getTaskBranch(content) || branchRule.replace('{filename}', task.filename);
+
+  // Never switch with uncommitted changes or untracked files
+  const changedFiles = getChangedFiles(cwd);
+  if (changedFiles.length > 0) {
+    throw taskError(
+      'DIRTY_WORKING_TREE',
+      'Working directory has uncommitted changes or untracked files. Commit or stash them before switching tasks.',
+      { files: changedFiles },
+    );
+  }
+
+  const commands = planGitCommands(branch, mainBranch, cwd);
+
+  // Validate the status change before touching git
+  const move = transitionTask(task, 'working', {
+    tasksPath,
+    config,
+    dryRun: true,
+  });
+
+  const result = {
+    task: task.filename,
+    branch,
+    from: task.path,
+    to: move.path,
+    commands: commands.map(formatGitCommand),
+    dryRun: !!options.dryRun,
+  };
+
+  if (options.dryRun) {
+    return result;
+  }
+
+  // Git workflow first, so a failed checkout leaves the task untouched
+  for (const args of commands) {
+    const command = formatGitCommand(args);
+    try {
+      git(args, cwd);
+    } catch (error) {
+      throw taskError(
+        'GIT_COMMAND_FAILED',
+        `Git command failed: ${command}\n${(error.stderr || error.message).trim()}`,
+        { command },
+      );
+    }
+  }
+
+  // Move task file to working/ and update its status
+  transitionTask(task, 'working', { tasksPath, config });
+
+  return result;
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.searchTerm) {
+    console.error('Usage: node switch_task.cjs [options] <search-term>');
+    console.error('');
+    console.error('Options:');
+    console.error('  --project <name>   Project name');
+    console.error('  --cwd <path>       Git repository path');
+    console.error(
+      '  --dry-run          Show planned changes without running them',
+    );
+    process.exit(1);
+  }
+
+  try {
+    const result = switchTask(args.searchTerm, args);
+    console.log(
+      JSON.stringify(
+        {
+          success: true,
+          message: result.dryRun
+            ? `Would switch task ${result.task} to ${result.branch}`
+            : `Task ${result.task} switched to ${result.branch}`,
+          ...result,
+        },
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    const { message, code, ...details } = error;
+    console.error(
+      JSON.stringify(
+        {
+          success: false,
+          error: message,
+          code,
+          ...details,
+        },
+        null,
+        2,
+      ),
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  switchTask,
+  getChangedFiles,
+  planGitCommands,
+};
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+/**
+ * Task lifecycle: statuses, allowed transitions and moving task files
+ *
+ * Each status is a directory under `<project>/tasks/`. The built-in
+ * statuses are `new`, `working` and `archived`; projects can declare extra
+ * statuses and transitions in `project.json`:
+ *
+ *   "tasks": {
+ *     "statuses": ["review", "blocked"],
+ *     "transitions": {
+ *       "new": ["working"],
+ *       "working": ["new", "review", "blocked", "archived"],
+ *       "review": ["working", "archived"],
+ *       "blocked": ["working"]
+ *     }
+ *   }
+ *
+ * Declared transitions replace the defaults of their status, so a project
+ * can also restrict them (here, `new` tasks can't be archived directly).
+ *
+ * Usage: node task_lifecycle.cjs <tasks-path>
+ * Output: JSON object with the statuses and transitions for the project
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatDateTime } = require('./dates.cjs');
+const {
+  parseFrontmatter,
+  serializeFrontmatter,
+  setField,
+} = require('./frontmatter.cjs');
+
+const DEFAULT_STATUSES = ['new', 'working', 'archived'];
+const INITIAL_STATUS = 'new';
+const ARCHIVED_STATUS = 'archived';
+
+const DEFAULT_TRANSITIONS = {
+  new: ['working', 'archived'],
+  working: ['new', 'archived'],
+  archived: ['working', 'new'],
+};
+
+/**
+ * Load project.json for a tasks path (`<project>/tasks`)
+ */
+function loadProjectConfig(tasksPath) {
+  const configPath = path.join(path.dirname(tasksPath), 'project.json');
+
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(
+      `Failed to parse project config at ${configPath}: ${error.message}`,
+    );
+  }
+}
+
+/**
+ * Get all task statuses for a project, built-in statuses first
+ */
+function getTaskStatuses(config = {}) {
+  const extra = (config.tasks && config.tasks.statuses) || [];
+  const statuses = [...DEFAULT_STATUSES];
+
+  for (const status of extra) {
+    if (!/^[a-z][a-z0-9-]*$/.test(status)) {
+      throw new Error(`Invalid task status "${status}" in project.json`);
+    }
+    if (!statuses.includes(status)) {
+      statuses.push(status);
+    }
+  }
+
+  return statuses;
+}
+
+/**
+ * Get allowed transitions for a project.
+ *
+ * Declared transitions for a status replace its defaults. Extra statuses
+ * without declared transitions can move to `working` and `archived`, and
+ * `working` can move to them unless its own transitions are declared.
+ */
+function getTransitions(config = {}) {
+  const statuses = getTaskStatuses(config);
+  const declared = (config.tasks && config.tasks.transitions) || {};
+  const transitions = {};
+
+  for (const status of statuses) {
+    transitions[status] = [...(DEFAULT_TRANSITIONS[status] || [])];
+  }
+
+  for (const status of statuses) {
+    if (!DEFAULT_STATUSES.includes(status) && !declared[status]) {
+      transitions[status].push('working', ARCHIVED_STATUS);
+      if (!declared.working) {
+        transitions.working.push(status);
+      }
+    }
+  }
+
+  for (const [from, targets] of Object.entries(declared)) {
+    for (const to of [from, ...targets]) {
+      if (!statuses.includes(to)) {
+        throw new Error(
+          `Unknown task status "${to}" in project.json transitions`,
+        );
+      }
+    }
+    transitions[from] = [...targets];
+  }
+
+  for (const status of statuses) {
+    transitions[status] = [...new Set(transitions[status])].filter(
+      (to) => to !== status,
+    );
+  }
+
+  return transitions;
+}
+
+/**
+ * Check whether a task can move from one status to another
+ */
+function canTransition(config, from, to) {
+  const transitions = getTransitions(config);
+  return !!transitions[from] && transitions[from].includes(to);
+}
+
+/**
+ * Set a frontmatter field, adding it after the existing fields if missing
+ */
+function setFrontmatterField(content, key, value) {
+  const doc = parseFrontmatter(content);
+  if (!doc.hasFrontmatter) {
+    throw new Error('Task file has no frontmatter');
+  }
+
+  return serializeFrontmatter(setField(doc, key, value));
+}
+
+/**
+ * Move a task to another status: move the file, rewrite the frontmatter
+ * status and record archived/reopened timestamps.
+ *
+ * `task` is a result from find_task.cjs ({ path, status, filename }).
+ */
+function transitionTask(task, toStatus, options = {}) {
+  const tasksPath = options.tasksPath || path.dirname(path.dirname(task.path));
+  const config = options.config || loadProjectConfig(tasksPath);
+  const statuses = getTaskStatuses(config);
+
+  if (!statuses.includes(toStatus)) {
+    throw new Error(
+      `Unknown task status "${toStatus}". Available: ${statuses.join(', ')}`,
+    );
+  }
+
+  const targetPath = path.join(tasksPath, toStatus, `${task.filename}.md`);
+  const result = {
+    task: task.filename,
+    from: task.status,
+    to: toStatus,
+    path: targetPath,
+    changed: task.status !== toStatus,
+  };
+
+  if (!result.changed) {
+    return result;
+  }
+
+  if (!canTransition(config, task.status, toStatus)) {
+    throw new Error(
+      `Cannot move task ${task.filename} from "${task.status}" to "${toStatus}"`,
+    );
+  }
+
+  if (fs.existsSync(targetPath)) {
+    throw new Error(`Task file already exists: ${targetPath}`);
+  }
+
+  if (options.dryRun) {
+    return result;
+  }
+
+  const timestamp = formatDateTime(options.now, options.tz);
+  let content = fs.readFileSync(task.path, 'utf-8');
+  content = setFrontmatterField(content, 'status', toStatus);
+
+  if (toStatus === ARCHIVED_STATUS) {
+    content = setFrontmatterField(content, 'archived', timestamp);
+  } else if (task.status === ARCHIVED_STATUS) {
+    content = setFrontmatterField(content, 'reopened', timestamp);
+  }
+
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  fs.writeFileSync(targetPath, content, 'utf-8');
+  fs.unlinkSync(task.path);
+
+  return result;
+}
+
+// Main
+if (require.main === module) {
+  const tasksPath = process.argv[2];
+
+  if (!tasksPath) {
+    console.error('Usage: node task_lifecycle.cjs <tasks-path>');
+    process.exit(1);
+  }
+
+  try {
+    const config = loadProjectConfig(path.resolve(tasksPath));
+    console.log(
+      JSON.stringify(
+        {
+          statuses: getTaskStatuses(config),
+          transitions: getTransitions(config),
+        },
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_STATUSES,
+  INITIAL_STATUS,
+  ARCHIVED_STATUS,
+  loadProjectConfig,
+  getTaskStatuses,
+  getTransitions,
+  canTransition,
+  setFrontmatterField,
+  transitionTask,
+};
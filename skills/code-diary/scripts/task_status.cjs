@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Change task status: archive, reopen or move to any configured status
+ *
+ * Usage: node task_status.cjs <command> <search-term> [status] [options]
+ *
+ * Commands:
+ *   archive <search-term>           Move task to archived/
+ *   reopen <search-term>            Move an archived task back to working/ (or --to)
+ *   move <search-term> <status>     Move task to any configured status
+ *
+ * Options:
+ *   --project <name>   Project name (default: detected from --cwd)
+ *   --cwd <path>       Working directory for project detection (default: current directory)
+ *   --to <status>      Target status for reopen (default: working)
+ *   --dry-run          Validate the change without moving files
+ *
+ * Examples:
+ *   node task_status.cjs archive PROJ-123
+ *   node task_status.cjs reopen PROJ-123 --to new
+ *   node task_status.cjs move PROJ-123 review
+ */
+
+const { resolveProject } = require('./get_current_project.cjs');
+const { findSingleTask } = require('./find_task.cjs');
+const { ARCHIVED_STATUS, transitionTask } = require('./task_lifecycle.cjs');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    searchTerm: null,
+    status: null,
+    project: null,
+    cwd: process.cwd(),
+    to: null,
+    dryRun: false,
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--project' && i + 1 < argv.length) {
+      args.project = argv[++i];
+    } else if (arg === '--cwd' && i + 1 < argv.length) {
+      args.cwd = argv[++i];
+    } else if (arg === '--to' && i + 1 < argv.length) {
+      args.to = argv[++i];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  [args.command, args.searchTerm, args.status] = positional;
+  return args;
+}
+
+/**
+ * Move the task matching the search term to a status
+ */
+function moveTask(searchTerm, toStatus, options = {}) {
+  if (!searchTerm) {
+    throw new Error('Missing required argument: <search-term>');
+  }
+
+  const project = resolveProject(options);
+  const task = findSingleTask(project.tasksPath, searchTerm);
+
+  return transitionTask(task, toStatus, {
+    tasksPath: project.tasksPath,
+    config: project.config,
+    dryRun: options.dryRun,
+  });
+}
+
+/**
+ * Archive a task
+ */
+function archiveTask(searchTerm, options = {}) {
+  return moveTask(searchTerm, ARCHIVED_STATUS, options);
+}
+
+/**
+ * Reopen an archived task
+ */
+function reopenTask(searchTerm, options = {}) {
+  const project = resolveProject(options);
+  const task = findSingleTask(project.tasksPath, searchTerm);
+
+  if (task.status !== ARCHIVED_STATUS) {
+    throw new Error(
+      `Task ${task.filename} is not archived (status: ${task.status})`,
+    );
+  }
+
+  return transitionTask(task, options.to || 'working', {
+    tasksPath: project.tasksPath,
+    config: project.config,
+    dryRun: options.dryRun,
+  });
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.command || args.command === '--help' || args.command === '-h') {
+    console.log('Usage: node task_status.cjs <command> <search-term> [status]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  archive <search-term>          Move task to archived/');
+    console.log('  reopen <search-term>           Move archived task back');
+    console.log('  move <search-term> <status>    Move task to any status');
+    process.exit(0);
+  }
+
+  try {
+    let result;
+
+    switch (args.command) {
+      case 'archive':
+        result = archiveTask(args.searchTerm, args);
+        break;
+
+      case 'reopen':
+        result = reopenTask(args.searchTerm, args);
+        break;
+
+      case 'move':
+        if (!args.status) {
+          throw new Error('Missing required argument: <status>');
+        }
+        result = moveTask(args.searchTerm, args.status, args);
+        break;
+
+      default:
+        throw new Error(`Unknown command "${args.command}"`);
+    }
+
+    console.log(
+      JSON.stringify(
+        {
+          success: true,
+          message: result.changed
+            ? `Task ${result.task} moved from ${result.from} to ${result.to}`
+            : `Task ${result.task} is already ${result.to}`,
+          ...result,
+        },
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    const { message, code, ...details } = error;
+    console.error(
+      JSON.stringify(
+        {
+          success: false,
+          error: message,
+          code,
+          ...details,
+        },
+        null,
+        2,
+      ),
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = { moveTask, archiveTask, reopenTask };
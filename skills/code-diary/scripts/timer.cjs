@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+/**
+ * Track time on a task with a start/stop timer, and total logged time
+ *
+ * The running timer is kept in `.timer.json` under the worklogs path, so it
+ * survives across sessions. Stopping it adds the elapsed time to the task's
+ * entry on the day the timer started, as a `[1h30m]` annotation.
+ *
+ * Usage: node timer.cjs <command> [options]
+ *
+ * Commands:
+ *   start <tracking-id>   Start a timer (--summary, default: from the task
+ *                         file or the last worklog entry)
+ *   stop                  Stop the timer and log the elapsed time (--work to
+ *                         also log work items)
+ *   status                Show the running timer
+ *   cancel                Discard the running timer
+ *   totals                Total logged time per day, week and tracking ID
+ *                         (--since / --until)
+ *
+ * Options:
+ *   --summary <text>        Task summary for the worklog entry
+ *   --work <item>           Work item to log when stopping (repeatable)
+ *   --since <YYYY-MM-DD>    Start of the totals range
+ *   --until <YYYY-MM-DD>    End of the totals range
+ *   --tz <timezone>         Timezone for dates (default: config, then system)
+ *
+ * Examples:
+ *   node timer.cjs start PROJ-123
+ *   node timer.cjs stop --work "Implemented sensor time range selector"
+ *   node timer.cjs totals --since 2026-10-01 --until 2026-10-31
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getWorklogsPath } = require('./config.cjs');
+const {
+  listProjects,
+  findProjectConfig,
+} = require('./get_current_project.cjs');
+const { listTasks } = require('./find_task.cjs');
+const { isTrackingId, trackingIdKey } = require('./tracking_id.cjs');
+const { listAllEntries } = require('./worklog_document.cjs');
+const { logWork } = require('./log_work.cjs');
+const { parseDate, toDateString, formatDateTime } = require('./dates.cjs');
+const { formatDuration } = require('./durations.cjs');
+
+const COMMANDS = ['start', 'stop', 'status', 'cancel', 'totals'];
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    trackingId: null,
+    summary: null,
+    workItems: [],
+    since: null,
+    until: null,
+    tz: null,
+  };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--summary' && i + 1 < argv.length) {
+      args.summary = argv[++i];
+    } else if (arg === '--work' && i + 1 < argv.length) {
+      args.workItems.push(argv[++i]);
+    } else if (arg === '--since' && i + 1 < argv.length) {
+      args.since = argv[++i];
+    } else if (arg === '--until' && i + 1 < argv.length) {
+      args.until = argv[++i];
+    } else if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  [args.command, args.trackingId] = positional;
+  return args;
+}
+
+/**
+ * Get the timer state file path
+ */
+function getTimerFile() {
+  return path.join(getWorklogsPath(), '.timer.json');
+}
+
+/**
+ * Load the running timer, or null when none is running
+ */
+function loadTimer() {
+  const file = getTimerFile();
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to parse timer state at ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the elapsed minutes of a timer (at least 1)
+ */
+function getElapsedMinutes(timer, now = new Date()) {
+  return Math.max(1, Math.round((now.getTime() - timer.startedAt) / 60000));
+}
+
+/**
+ * Find the summary of a tracking ID: from its task file in any project,
+ * else from its last worklog entry
+ */
+function findSummary(trackingId) {
+  const key = trackingIdKey(trackingId);
+
+  for (const name of listProjects()) {
+    const task = listTasks(findProjectConfig(name).tasksPath).find(
+      (t) => t.trackingId && trackingIdKey(t.trackingId) === key,
+    );
+    if (task && task.summary) {
+      return task.summary;
+    }
+  }
+
+  const entries = listAllEntries().filter(
+    (entry) => trackingIdKey(entry.trackingId) === key,
+  );
+  return entries.length > 0 ? entries[entries.length - 1].summary : null;
+}
+
+/**
+ * Start a timer for a tracking ID
+ */
+function startTimer(trackingId, options = {}) {
+  if (!trackingId || !isTrackingId(trackingId)) {
+    throw new Error(
+      `Invalid tracking ID "${trackingId || ''}" (expected e.g. PROJ-123, #45 or 20260128)`,
+    );
+  }
+
+  const running = loadTimer();
+  if (running) {
+    throw new Error(
+      `A timer is already running for ${running.trackingId} since ${running.started}. Stop or cancel it first.`,
+    );
+  }
+
+  const summary = options.summary || findSummary(trackingId);
+  if (!summary) {
+    throw new Error(
+      `No task or worklog entry found for ${trackingId}: pass --summary`,
+    );
+  }
+
+  const now = options.now || new Date();
+  const timer = {
+    trackingId,
+    summary,
+    date: toDateString(now, options.tz),
+    started: formatDateTime(now, options.tz),
+    startedAt: now.getTime(),
+  };
+
+  fs.mkdirSync(path.dirname(getTimerFile()), { recursive: true });
+  fs.writeFileSync(getTimerFile(), JSON.stringify(timer, null, 2) + '\n');
+  return timer;
+}
+
+/**
+ * Stop the running timer and log its time to the day it started
+ */
+function stopTimer(options = {}) {
+  const timer = loadTimer();
+  if (!timer) {
+    throw new Error('No timer is running');
+  }
+
+  const minutes = getElapsedMinutes(timer, options.now);
+  const result = logWork({
+    date: timer.date,
+    trackingId: timer.trackingId,
+    summary: timer.summary,
+    workItems: options.workItems || [],
+    time: minutes,
+  });
+
+  fs.unlinkSync(getTimerFile());
+  return { ...timer, ...result, minutes, time: formatDuration(minutes) };
+}
+
+/**
+ * Total logged time per day, week and tracking ID within a date range
+ */
+function getTimeTotals(since = null, until = null) {
+  const start = since ? parseDate(since) : null;
+  const end = until ? parseDate(until) : null;
+  const days = new Map();
+  const weeks = new Map();
+  const ids = new Map();
+  let total = 0;
+
+  const add = (map, key, fields, minutes) => {
+    const row = map.get(key) || { ...fields, minutes: 0 };
+    row.minutes += minutes;
+    map.set(key, row);
+  };
+
+  for (const entry of listAllEntries(start, end)) {
+    if (!entry.time) {
+      continue;
+    }
+    add(days, entry.date, { date: entry.date }, entry.time);
+    add(weeks, entry.weekKey, { week: entry.weekKey }, entry.time);
+    add(
+      ids,
+      trackingIdKey(entry.trackingId),
+      { trackingId: entry.trackingId, summary: entry.summary },
+      entry.time,
+    );
+    total += entry.time;
+  }
+
+  const withTime = (row) => ({ ...row, time: formatDuration(row.minutes) });
+  return {
+    since: start,
+    until: end,
+    total: withTime({ minutes: total }),
+    days: [...days.values()].map(withTime),
+    weeks: [...weeks.values()].map(withTime),
+    trackingIds: [...ids.values()]
+      .sort((a, b) => b.minutes - a.minutes)
+      .map(withTime),
+  };
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!COMMANDS.includes(args.command)) {
+    console.error('Usage: node timer.cjs <command> [options]');
+    console.error('');
+    console.error('Commands:');
+    console.error('  start <tracking-id>   Start a timer (--summary <text>)');
+    console.error(
+      '  stop                  Stop and log the time (--work <item>)',
+    );
+    console.error('  status                Show the running timer');
+    console.error('  cancel                Discard the running timer');
+    console.error('  totals                Logged time (--since, --until)');
+    process.exit(1);
+  }
+
+  try {
+    let output;
+
+    if (args.command === 'start') {
+      const timer = startTimer(args.trackingId, args);
+      output = {
+        success: true,
+        message: `Started timer for ${timer.trackingId}`,
+        ...timer,
+      };
+    } else if (args.command === 'stop') {
+      const result = stopTimer(args);
+      output = {
+        success: true,
+        message: `Logged ${result.time} for ${result.trackingId} on ${result.date}`,
+        trackingId: result.trackingId,
+        summary: result.summary,
+        date: result.date,
+        started: result.started,
+        minutes: result.minutes,
+        time: result.time,
+        worklogFile: result.worklogFile,
+      };
+    } else if (args.command === 'status') {
+      const timer = loadTimer();
+      output = timer
+        ? {
+            running: true,
+            ...timer,
+            elapsed: formatDuration(getElapsedMinutes(timer)),
+          }
+        : { running: false };
+    } else if (args.command === 'cancel') {
+      const timer = loadTimer();
+      if (!timer) {
+        throw new Error('No timer is running');
+      }
+      fs.unlinkSync(getTimerFile());
+      output = {
+        success: true,
+        message: `Discarded timer for ${timer.trackingId}`,
+        ...timer,
+      };
+    } else {
+      output = getTimeTotals(args.since, args.until);
+    }
+
+    console.log(JSON.stringify(output, null, 2));
+  } catch (error) {
+    console.error(
+      JSON.stringify(
+        {
+          success: false,
+          error: error.message,
+        },
+        null,
+        2,
+      ),
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  getTimerFile,
+  loadTimer,
+  startTimer,
+  stopTimer,
+  getTimeTotals,
+};
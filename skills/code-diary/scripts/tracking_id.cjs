@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+/**
+ * Tracking ID grammar shared by every script
+ *
+ * Recognized forms:
+ *   PROJ-123, ENG-12a, abc-123   Jira / Linear style keys
+ *   #123, gh-45                  GitHub issues
+ *   20260128                     Date-based IDs for tasks without a ticket
+ *
+ * With a project's `issueTracker` (project.json), only that tracker's form
+ * is accepted, restricted to `projectPrefix` when set. Date-based IDs are
+ * always accepted. Without one, every form is accepted.
+ *
+ * Anchored matches (a task input line, a worklog entry) ignore case. IDs
+ * found inside free text need an upper-case key (or the configured
+ * `projectPrefix`), so words such as "Covid-19" are not taken for IDs.
+ *
+ * Usage: node tracking_id.cjs <text> [--type <jira|github|linear>] [--prefix <prefix>]
+ * Output: JSON object with the tracking ID found at the start of the text
+ *
+ * Examples:
+ *   node tracking_id.cjs "ENG-12a Fix login"
+ *   node tracking_id.cjs "#123 Fix login" --type github
+ */
+
+const KEY_ID = '[A-Za-z][A-Za-z0-9]*-\\d+[a-z]?';
+const GITHUB_ID = '#\\d+|gh-\\d+';
+const UPPER_KEY = /^[A-Z][A-Z0-9]*-/;
+const DATE_ID = '(?:19|20)\\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\\d|3[01])';
+
+/**
+ * Escape a string for use in a regular expression
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the regular expression source matching a tracking ID
+ * for an issue tracker config ({ type, projectPrefix })
+ */
+function getTrackingIdSource(issueTracker = null) {
+  const { type, projectPrefix } = issueTracker || {};
+  const prefix = projectPrefix ? escapeRegExp(projectPrefix) : null;
+  const sources = [];
+
+  if (type === 'github') {
+    sources.push(GITHUB_ID);
+    if (prefix) {
+      sources.push(`${prefix}-\\d+`);
+    }
+  } else if (type === 'jira' || type === 'linear') {
+    sources.push(prefix ? `${prefix}-\\d+[a-z]?` : KEY_ID);
+  } else {
+    sources.push(GITHUB_ID, KEY_ID);
+  }
+
+  sources.push(DATE_ID);
+  return sources.map((source) => `(?:${source})`).join('|');
+}
+
+/**
+ * Check whether a value is a tracking ID
+ */
+function isTrackingId(value, issueTracker = null) {
+  return new RegExp(`^(?:${getTrackingIdSource(issueTracker)})$`, 'i').test(
+    (value || '').trim(),
+  );
+}
+
+/**
+ * Match a tracking ID at the start of a line, followed by whitespace or
+ * the end of the line. Returns { trackingId, rest } or null.
+ */
+function matchTrackingId(text, issueTracker = null) {
+  const match = text
+    .trim()
+    .match(
+      new RegExp(`^(${getTrackingIdSource(issueTracker)})(?:\\s+(.*))?$`, 'i'),
+    );
+
+  if (!match) {
+    return null;
+  }
+
+  return { trackingId: match[1], rest: match[2] || '' };
+}
+
+/**
+ * Find every tracking ID mentioned in a text, e.g. a commit message
+ * (`PROJ-12: fix`, `fix login (#45)`). IDs inside other words or paths
+ * such as `feat/PROJ-12_slug` are not matched, nor keys that aren't
+ * upper case (`Covid-19`) unless they use the configured prefix.
+ */
+function findTrackingIds(text, issueTracker = null) {
+  const { projectPrefix } = issueTracker || {};
+  const pattern = new RegExp(
+    `(?<![\\w-])(${getTrackingIdSource(issueTracker)})(?![\\w-])`,
+    'gi',
+  );
+  const ids = [];
+  for (const match of text.matchAll(pattern)) {
+    const isKey = getTrackingIdType(match[1]) === 'key';
+    if (
+      isKey &&
+      !UPPER_KEY.test(match[1]) &&
+      !(projectPrefix && match[1].startsWith(`${projectPrefix}-`))
+    ) {
+      continue;
+    }
+    if (!ids.some((id) => trackingIdKey(id) === trackingIdKey(match[1]))) {
+      ids.push(match[1]);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Get the kind of a tracking ID: "github", "date" or "key"
+ */
+function getTrackingIdType(trackingId) {
+  if (new RegExp(`^(?:${GITHUB_ID})$`, 'i').test(trackingId)) {
+    return 'github';
+  }
+  if (new RegExp(`^${DATE_ID}$`).test(trackingId)) {
+    return 'date';
+  }
+  return 'key';
+}
+
+/**
+ * Get a comparison key, so `ENG-12a`/`eng-12A` and `#45`/`gh-45` match
+ */
+function trackingIdKey(trackingId) {
+  return toFileId(trackingId).toLowerCase();
+}
+
+/**
+ * Get the form of a tracking ID used in filenames and branches
+ * (`#123` becomes `gh-123`)
+ */
+function toFileId(trackingId) {
+  return trackingId.trim().replace(/^#(\d+)$/, 'gh-$1');
+}
+
+/**
+ * Get the issue tracker URL of a tracking ID from `issueTracker.baseUrl`,
+ * or null (date-based IDs, no base URL). A `{id}` placeholder in the base
+ * URL is replaced; otherwise GitHub issues link to `<baseUrl>/issues/<n>`,
+ * Linear keys to `<baseUrl>/issue/<ID>` and other keys to
+ * `<baseUrl>/browse/<ID>` (Jira).
+ */
+function getTrackingIdUrl(trackingId, issueTracker = null) {
+  const { type, baseUrl } = issueTracker || {};
+  const kind = getTrackingIdType(trackingId);
+  if (!baseUrl || kind === 'date') {
+    return null;
+  }
+
+  const id = trackingId.trim();
+  if (baseUrl.includes('{id}')) {
+    return baseUrl.replace('{id}', encodeURIComponent(id));
+  }
+
+  const base = baseUrl.replace(/\/+$/, '');
+  if (kind === 'github') {
+    return `${base}/issues/${id.replace(/^(#|gh-)/i, '')}`;
+  }
+  return `${base}/${type === 'linear' ? 'issue' : 'browse'}/${id}`;
+}
+
+// Main
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const issueTracker = {};
+  const text = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--type' && i + 1 < args.length) {
+      issueTracker.type = args[++i];
+    } else if (args[i] === '--prefix' && i + 1 < args.length) {
+      issueTracker.projectPrefix = args[++i];
+    } else {
+      text.push(args[i]);
+    }
+  }
+
+  if (text.length === 0) {
+    console.error(
+      'Usage: node tracking_id.cjs <text> [--type <jira|github|linear>] [--prefix <prefix>]',
+    );
+    process.exit(1);
+  }
+
+  const match = matchTrackingId(text.join(' '), issueTracker);
+  console.log(
+    JSON.stringify(
+      match
+        ? {
+            trackingId: match.trackingId,
+            type: getTrackingIdType(match.trackingId),
+            fileId: toFileId(match.trackingId),
+            rest: match.rest,
+          }
+        : { trackingId: null },
+      null,
+      2,
+    ),
+  );
+}
+
+module.exports = {
+  escapeRegExp,
+  getTrackingIdSource,
+  isTrackingId,
+  matchTrackingId,
+  findTrackingIds,
+  getTrackingIdType,
+  getTrackingIdUrl,
+  trackingIdKey,
+  toFileId,
+};
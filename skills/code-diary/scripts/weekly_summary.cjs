@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Fill the "Last week:" / "This week:" summary of a week section
+ *
+ * "Last week" lists the unique tracking IDs and summaries logged during the
+ * previous week (reading the previous month's worklog when the week spans
+ * two months). "This week" keeps its existing entries and adds every task
+ * in `tasks/working` across all projects. Daily entries are left untouched.
+ * The lists are written to the worklog of the month containing the week's
+ * Thursday, see get_week_info.cjs.
+ *
+ * The output also includes last week's footprint (areas of the codebase and
+ * lines changed) for commits logged with `log_commits.cjs --stats/--by-area`.
+ *
+ * Usage: node weekly_summary.cjs [date] [--tz <timezone>]
+ *
+ * Examples:
+ *   node weekly_summary.cjs              # Current week
+ *   node weekly_summary.cjs 2026-02-02   # Week containing 2026-02-02
+ */
+
+const path = require('path');
+const { getWorklogsPath } = require('./config.cjs');
+const { getWeekInfo, getWeekRange } = require('./get_week_info.cjs');
+const { addDays } = require('./dates.cjs');
+const {
+  listAllEntries,
+  loadWorklog,
+  saveWorklog,
+  findOrCreateWeek,
+  updateWeekList,
+} = require('./worklog_document.cjs');
+const { listProjects } = require('./get_current_project.cjs');
+const { listTasks } = require('./find_task.cjs');
+const { trackingIdKey } = require('./tracking_id.cjs');
+const { getIndexedFootprint } = require('./commit_stats.cjs');
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    date: null,
+    tz: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--tz' && i + 1 < argv.length) {
+      args.tz = argv[++i];
+    } else {
+      args.date = arg;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Collect unique tracking IDs and summaries logged within a date range
+ */
+function collectEntries(range) {
+  const entries = new Map();
+
+  // Oldest first, so the latest summary for an ID wins
+  for (const entry of listAllEntries(range.start, range.end)) {
+    entries.set(trackingIdKey(entry.trackingId), entry);
+  }
+
+  return [...entries.values()].map(
+    (entry) => `- ${entry.trackingId}: ${entry.summary}`,
+  );
+}
+
+/**
+ * Collect tasks in tasks/working across all projects
+ */
+function collectWorkingTasks() {
+  const worklogsPath = getWorklogsPath();
+  const entries = [];
+
+  for (const project of listProjects()) {
+    const tasksPath = path.join(worklogsPath, project, 'tasks');
+    for (const task of listTasks(tasksPath, ['working'])) {
+      if (task.trackingId && task.summary) {
+        entries.push(`- ${task.trackingId}: ${task.summary}`);
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Write the weekly summary into the week section for a date
+ */
+function weeklySummary(dateStr = null, options = {}) {
+  const weekInfo = getWeekInfo(dateStr, options);
+  const lastWeekRange = getWeekRange(addDays(weekInfo.weekRange.start, -7));
+
+  const lastWeek = collectEntries(lastWeekRange);
+  const workingTasks = collectWorkingTasks();
+
+  const { file: worklogFile, doc } = loadWorklog(weekInfo.summaryMonth);
+  const weekSection = findOrCreateWeek(doc, weekInfo);
+
+  updateWeekList(weekSection, 'Last week', lastWeek, { replace: true });
+  const thisWeek = updateWeekList(weekSection, 'This week', workingTasks).items;
+
+  saveWorklog(worklogFile, doc);
+
+  return {
+    worklogFile,
+    week: weekInfo.weekHeader,
+    lastWeekRange,
+    lastWeek,
+    thisWeek,
+    footprint: getIndexedFootprint(lastWeekRange.start, lastWeekRange.end),
+  };
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const result = weeklySummary(args.date, { tz: args.tz });
+    console.log(
+      JSON.stringify(
+        {
+          success: true,
+          message: `Updated weekly summary for ${result.week}`,
+          ...result,
+        },
+        null,
+        2,
+      ),
+    );
+  } catch (error) {
+    console.error(
+      JSON.stringify(
+        {
+          success: false,
+          error: error.message,
+        },
+        null,
+        2,
+      ),
+    );
+    process.exit(1);
+  }
+}
+
+module.exports = { weeklySummary, collectEntries, collectWorkingTasks };
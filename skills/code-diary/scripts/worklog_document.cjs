@@ -0,0 +1,915 @@
+#!/usr/bin/env node
+
+/**
+ * Lossless worklog document model: parse → tree → serialize
+ *
+ * A monthly worklog (`logs/YYYY-MM.md`) is parsed into a tree:
+ *
+ *   document  frontmatter and preamble (title, free text before the first week)
+ *   └─ week   `## YYYY Week N` and its "Last week:" / "This week:" lists
+ *      └─ day `### YYYY/MM/DD`
+ *         └─ entry `- TRACKING-ID: Summary` and its work items
+ *
+ * Every node keeps its original lines, so serializing an unchanged document
+ * returns the input byte-for-byte. Nodes changed through this module are
+ * marked dirty; only those get blank-line separation and new lines, which use
+ * the document's line ending.
+ *
+ * Weeks are identified by year and week (`weekKey`, e.g. 2026-W53). For
+ * legacy `## Week N` headers the year is taken from the week's days, or
+ * inferred from the file's month.
+ *
+ * Time spent is a trailing `[1h30m]` on an entry header or work item (see
+ * durations.cjs); an entry's `time` is the total of both, in minutes.
+ *
+ * Usage: node worklog_document.cjs <worklog-file> [--date <YYYY-MM-DD>] [--tracking-id <ID>]
+ * Output: JSON array of matching entries (all entries without filters)
+ *
+ * Examples:
+ *   node worklog_document.cjs ~/workspace/worklogs/logs/2026-01.md --date 2026-01-28
+ *   node worklog_document.cjs ~/workspace/worklogs/logs/2026-01.md --tracking-id PROJ-123
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getWorklogsPath } = require('./config.cjs');
+const { getTrackingIdSource, trackingIdKey } = require('./tracking_id.cjs');
+const { formatWeekKey } = require('./get_week_info.cjs');
+const { getWeek } = require('./dates.cjs');
+const { splitTimeAnnotation, withTimeAnnotation } = require('./durations.cjs');
+
+const WEEK_HEADER = /^## (?:(\d{4}) )?Week (\d+)\b/;
+const DAY_HEADER = /^### (\d{4}\/\d{2}\/\d{2})\b/;
+const ENTRY_HEADER = new RegExp(`^- (${getTrackingIdSource()}): (.+)$`, 'i');
+const WORK_ITEM = /^ {2,4}[-*+] (.*)$/;
+
+/**
+ * Normalize YYYY-MM-DD or YYYY/MM/DD to the YYYY/MM/DD header format
+ */
+function toDateHeader(date) {
+  return date.replace(/-/g, '/');
+}
+
+/**
+ * Get the week year and number of a YYYY/MM/DD or YYYY-MM-DD date
+ */
+function getDateWeek(date) {
+  return getWeek(date.replace(/\//g, '-'));
+}
+
+/**
+ * Detect the month (YYYY-MM) of a worklog from its frontmatter or title
+ */
+function detectMonth(doc) {
+  const monthLine = (doc.frontmatter || []).find((line) =>
+    /^month:\s*\d{4}-\d{2}\s*$/.test(line),
+  );
+  if (monthLine) {
+    return monthLine.match(/\d{4}-\d{2}/)[0];
+  }
+
+  const title = doc.preamble.find((line) => /^# \d{4}\/\d{2}\b/.test(line));
+  return title ? title.slice(2, 9).replace('/', '-') : null;
+}
+
+/**
+ * Infer the year of a legacy `## Week N` section: from its first day,
+ * otherwise from the file's month (week 52/53 in January belongs to the
+ * previous year, week 1 in December to the next).
+ */
+function inferWeekYear(week, month) {
+  if (week.days.length > 0) {
+    return getDateWeek(week.days[0].date).weekYear;
+  }
+  if (!month) {
+    return null;
+  }
+
+  const [year, monthNumber] = month.split('-').map(Number);
+  if (monthNumber === 1 && week.weekNumber >= 52) {
+    return year - 1;
+  }
+  if (monthNumber === 12 && week.weekNumber === 1) {
+    return year + 1;
+  }
+  return year;
+}
+
+/**
+ * Parse worklog markdown into a document tree.
+ * Line endings are detected from the first line break and a leading BOM is
+ * kept; everything else is stored verbatim. `options.month` (YYYY-MM) is the
+ * file's month, detected from the frontmatter or title when omitted.
+ */
+function parseWorklog(content, options = {}) {
+  const bom = content.startsWith('\uFEFF') ? '\uFEFF' : '';
+  const text = content.slice(bom.length);
+  const firstBreak = text.match(/\r?\n/);
+  const eol = firstBreak ? firstBreak[0] : '\n';
+  const lines = text.split(/\r?\n/);
+  const finalNewline = lines.length > 1 && lines[lines.length - 1] === '';
+
+  if (finalNewline) {
+    lines.pop();
+  }
+
+  const doc = {
+    type: 'document',
+    bom,
+    eol,
+    finalNewline,
+    frontmatter: null,
+    preamble: [],
+    weeks: [],
+  };
+
+  let i = 0;
+
+  // YAML frontmatter
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) {
+      doc.frontmatter = lines.slice(0, end + 1);
+      i = end + 1;
+    }
+  }
+
+  let target = doc.preamble;
+  let week = null;
+  let day = null;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const weekMatch = line.match(WEEK_HEADER);
+    const dayMatch = week && line.match(DAY_HEADER);
+    const entryMatch = day && line.match(ENTRY_HEADER);
+
+    if (weekMatch) {
+      week = {
+        type: 'week',
+        header: line,
+        weekYear: weekMatch[1] ? parseInt(weekMatch[1], 10) : null,
+        weekNumber: parseInt(weekMatch[2], 10),
+        weekKey: null,
+        legacy: !weekMatch[1],
+        lines: [],
+        days: [],
+      };
+      day = null;
+      doc.weeks.push(week);
+      target = week.lines;
+    } else if (dayMatch) {
+      day = {
+        type: 'day',
+        header: line,
+        date: dayMatch[1],
+        lines: [],
+        entries: [],
+      };
+      week.days.push(day);
+      target = day.lines;
+    } else if (entryMatch) {
+      const { text: summary, minutes } = splitTimeAnnotation(entryMatch[2]);
+      const entry = {
+        type: 'entry',
+        header: line,
+        trackingId: entryMatch[1],
+        summary,
+        time: minutes,
+        lines: [],
+      };
+      day.entries.push(entry);
+      target = entry.lines;
+    } else {
+      target.push(line);
+    }
+  }
+
+  doc.month = options.month || detectMonth(doc);
+  for (const section of doc.weeks) {
+    if (section.legacy) {
+      section.weekYear = inferWeekYear(section, doc.month);
+    }
+    if (section.weekYear) {
+      section.weekKey = formatWeekKey(section.weekYear, section.weekNumber);
+    }
+  }
+
+  return doc;
+}
+
+/**
+ * Get a node's lines in document order
+ */
+function nodeLines(node) {
+  return node.header === undefined ? node.lines : [node.header, ...node.lines];
+}
+
+/**
+ * Flatten the document into nodes in document order
+ */
+function flattenNodes(doc) {
+  const nodes = [];
+
+  if (doc.frontmatter) {
+    nodes.push({ lines: doc.frontmatter });
+  }
+  nodes.push({ lines: doc.preamble, dirty: doc.dirty });
+
+  for (const week of doc.weeks) {
+    nodes.push(week);
+    for (const day of week.days) {
+      nodes.push(day);
+      nodes.push(...day.entries);
+    }
+  }
+
+  return nodes.filter((node) => nodeLines(node).length > 0);
+}
+
+/**
+ * Serialize a document tree back to markdown.
+ * Unchanged nodes are written verbatim; a blank line separates dirty nodes
+ * from their neighbours.
+ */
+function serializeWorklog(doc) {
+  const output = [];
+  const nodes = flattenNodes(doc);
+  let previous = null;
+
+  for (const node of nodes) {
+    const isSeparated =
+      output.length === 0 || output[output.length - 1].trim() === '';
+
+    if ((node.dirty || (previous && previous.dirty)) && !isSeparated) {
+      output.push('');
+    }
+    output.push(...nodeLines(node));
+    previous = node;
+  }
+
+  // Don't leave trailing blank lines once the document has changed
+  if (nodes.some((node) => node.dirty)) {
+    while (output.length > 0 && output[output.length - 1].trim() === '') {
+      output.pop();
+    }
+  }
+
+  const body = output.join(doc.eol);
+  return doc.bom + body + (doc.finalNewline ? doc.eol : '');
+}
+
+/**
+ * Create an empty worklog document for a month (YYYY-MM)
+ */
+function createWorklog(month) {
+  const doc = parseWorklog(`# ${month.replace('-', '/')} Contribution log\n`, {
+    month,
+  });
+  doc.dirty = true;
+  return doc;
+}
+
+/**
+ * Get the work items (direct child list items) of an entry
+ */
+function getWorkItems(entry) {
+  return entry.lines
+    .map((line) => line.match(WORK_ITEM))
+    .filter(Boolean)
+    .map((match) => match[1].trim());
+}
+
+/**
+ * Get the time spent on an entry in minutes: its own `[time]` plus its work
+ * items', or null when none is recorded
+ */
+function getEntryTime(entry) {
+  const times = [
+    entry.time,
+    ...getWorkItems(entry).map((item) => splitTimeAnnotation(item).minutes),
+  ].filter((minutes) => minutes !== null && minutes !== undefined);
+
+  return times.length > 0 ? times.reduce((a, b) => a + b, 0) : null;
+}
+
+/**
+ * List all entries with their date, in document order
+ */
+function listEntries(doc) {
+  const entries = [];
+
+  for (const week of doc.weeks) {
+    for (const day of week.days) {
+      for (const entry of day.entries) {
+        entries.push({
+          date: day.date.replace(/\//g, '-'),
+          weekKey: week.weekKey,
+          trackingId: entry.trackingId,
+          summary: entry.summary,
+          workItems: getWorkItems(entry),
+          time: getEntryTime(entry),
+        });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Get entries for a date (YYYY-MM-DD or YYYY/MM/DD)
+ */
+function getEntriesForDate(doc, date) {
+  const header = toDateHeader(date);
+  return listEntries(doc).filter(
+    (entry) => toDateHeader(entry.date) === header,
+  );
+}
+
+/**
+ * Get all entries for a tracking ID (`#45` and `gh-45` are the same ID)
+ */
+function getEntriesForTrackingId(doc, trackingId) {
+  const key = trackingIdKey(trackingId);
+  return listEntries(doc).filter(
+    (entry) => trackingIdKey(entry.trackingId) === key,
+  );
+}
+
+/**
+ * Compare dates (YYYY-MM-DD or YYYY/MM/DD) for descending order, newest
+ * first as in the worklogs
+ */
+function compareDates(a, b) {
+  return toDateHeader(b).localeCompare(toDateHeader(a));
+}
+
+/**
+ * Find the section for a week key (e.g. 2026-W53)
+ */
+function findWeek(doc, weekKey) {
+  return doc.weeks.find((week) => week.weekKey === weekKey) || null;
+}
+
+/**
+ * Insert a week section in descending order (newest first)
+ */
+function insertWeek(doc, week) {
+  const index = doc.weeks.findIndex(
+    (w) => w.weekKey && w.weekKey < week.weekKey,
+  );
+  doc.weeks.splice(index === -1 ? doc.weeks.length : index, 0, week);
+}
+
+/**
+ * Insert a day section in descending order (newest first)
+ */
+function insertDay(week, day) {
+  const index = week.days.findIndex((d) => d.date < day.date);
+  week.days.splice(index === -1 ? week.days.length : index, 0, day);
+}
+
+/**
+ * Find the section for a date (YYYY-MM-DD or YYYY/MM/DD)
+ */
+function findDay(doc, date) {
+  const header = toDateHeader(date);
+
+  for (const week of doc.weeks) {
+    const day = week.days.find((d) => d.date === header);
+    if (day) {
+      return day;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the section for a week, or insert a new one in descending order.
+ * New sections get the "Last week:" / "This week:" lists only in the
+ * week's summary month, so a week spanning two months has them once.
+ */
+function findOrCreateWeek(doc, weekInfo) {
+  let week = findWeek(doc, weekInfo.weekKey);
+
+  if (!week) {
+    const hasLists = !doc.month || doc.month === weekInfo.summaryMonth;
+
+    week = {
+      type: 'week',
+      header: `## ${weekInfo.weekHeader}`,
+      weekYear: weekInfo.weekYear,
+      weekNumber: weekInfo.weekNumber,
+      weekKey: weekInfo.weekKey,
+      legacy: false,
+      lines: hasLists ? ['', 'Last week:', '', 'This week:'] : [],
+      days: [],
+      dirty: true,
+    };
+    insertWeek(doc, week);
+  }
+
+  return week;
+}
+
+/**
+ * Find the section for a date in a week, or insert a new one in
+ * descending order (newest first)
+ */
+function findOrCreateDay(week, date) {
+  const header = toDateHeader(date);
+  let day = week.days.find((d) => d.date === header);
+
+  if (!day) {
+    day = {
+      type: 'day',
+      header: `### ${header}`,
+      date: header,
+      lines: [],
+      entries: [],
+      dirty: true,
+    };
+    insertDay(week, day);
+  }
+
+  return day;
+}
+
+/**
+ * Insert lines after the last non-blank line of a node
+ */
+function appendLines(node, lines) {
+  let index = node.lines.length;
+  while (index > 0 && node.lines[index - 1].trim() === '') {
+    index--;
+  }
+  node.lines.splice(index, 0, ...lines);
+  node.dirty = true;
+}
+
+/**
+ * Add or update an entry in a day: set its summary and append work items
+ * that are not already listed. A listed item given with a `[time]` adds
+ * it to the item's time. `options.time` (minutes) is added to the entry's
+ * own time. Returns the entry and the added items.
+ */
+function upsertEntry(day, trackingId, summary, workItems = [], options = {}) {
+  const key = trackingIdKey(trackingId);
+  let entry = day.entries.find((e) => trackingIdKey(e.trackingId) === key);
+  const time = options.time || null;
+
+  if (!entry) {
+    entry = {
+      type: 'entry',
+      header: withTimeAnnotation(`- ${trackingId}: ${summary}`, time),
+      trackingId,
+      summary,
+      time,
+      lines: [],
+      dirty: true,
+    };
+    day.entries.push(entry);
+  } else if (entry.summary !== summary || time) {
+    entry.summary = summary;
+    entry.time = time ? (entry.time || 0) + time : entry.time;
+    entry.header = withTimeAnnotation(
+      `- ${entry.trackingId}: ${summary}`,
+      entry.time,
+    );
+    entry.dirty = true;
+  }
+
+  const existing = getWorkItems(entry);
+  const existingText = existing.map((item) => splitTimeAnnotation(item).text);
+  const added = [];
+
+  for (const item of new Set(workItems)) {
+    const index = existingText.indexOf(splitTimeAnnotation(item).text);
+
+    if (index === -1) {
+      added.push(item);
+    } else if (splitTimeAnnotation(item).minutes !== null) {
+      const current = splitTimeAnnotation(existing[index]);
+      const updated = withTimeAnnotation(
+        current.text,
+        (current.minutes || 0) + splitTimeAnnotation(item).minutes,
+      );
+      const line = entry.lines.findIndex(
+        (l) => ((l.match(WORK_ITEM) || [])[1] || '').trim() === existing[index],
+      );
+      // Splice by position: the item text is not a replacement pattern
+      const at = entry.lines[line].indexOf(existing[index]);
+      entry.lines[line] =
+        entry.lines[line].slice(0, at) +
+        updated +
+        entry.lines[line].slice(at + existing[index].length);
+      existing[index] = updated;
+      entry.dirty = true;
+    }
+  }
+
+  if (added.length > 0) {
+    appendLines(
+      entry,
+      added.map((item) => `  - ${item}`),
+    );
+  }
+
+  return { entry, added };
+}
+
+/**
+ * Add an entry node to a day: as is, or merged into the day's entry for the
+ * same tracking ID, which keeps its summary and gains the work items and
+ * time. Returns the day's entry.
+ */
+function addEntry(day, entry) {
+  const key = trackingIdKey(entry.trackingId);
+  const existing = day.entries.find((e) => trackingIdKey(e.trackingId) === key);
+
+  if (existing) {
+    return upsertEntry(
+      day,
+      existing.trackingId,
+      existing.summary,
+      getWorkItems(entry),
+      { time: entry.time },
+    ).entry;
+  }
+
+  entry.dirty = true;
+  day.entries.push(entry);
+  return entry;
+}
+
+/**
+ * Remove a day once it has no entries left, and its week once it has no
+ * days and no "Last week:" / "This week:" items
+ */
+function pruneDay(doc, day) {
+  const isBlank = (line) => line.trim() === '';
+  if (day.entries.length > 0 || !day.lines.every(isBlank)) {
+    return;
+  }
+
+  const week = doc.weeks.find((w) => w.days.includes(day));
+  week.days.splice(week.days.indexOf(day), 1);
+  week.dirty = true;
+
+  if (
+    week.days.length === 0 &&
+    week.lines.every(
+      (line) => isBlank(line) || /^(last|this) week:$/i.test(line.trim()),
+    )
+  ) {
+    doc.weeks.splice(doc.weeks.indexOf(week), 1);
+    doc.dirty = true;
+  }
+}
+
+/**
+ * Remove a day's entry for a tracking ID, then the day and week if they
+ * end up empty. Returns the removed entry, or null if there was none.
+ */
+function removeEntry(doc, date, trackingId) {
+  const day = findDay(doc, date);
+  const key = trackingIdKey(trackingId);
+  const entry =
+    day && day.entries.find((e) => trackingIdKey(e.trackingId) === key);
+  if (!entry) {
+    return null;
+  }
+
+  day.entries.splice(day.entries.indexOf(entry), 1);
+  day.dirty = true;
+  pruneDay(doc, day);
+  return entry;
+}
+
+/**
+ * Rename a tracking ID in the entries of a date, or of every date when
+ * `date` is null. An entry renamed to an ID already logged that day is
+ * merged into it. Returns the dates (YYYY-MM-DD) that changed.
+ */
+function renameEntries(doc, date, from, to) {
+  const key = trackingIdKey(from);
+  const header = date ? toDateHeader(date) : null;
+  const dates = [];
+
+  for (const week of doc.weeks) {
+    for (const day of week.days) {
+      const entry =
+        (!header || day.date === header) &&
+        day.entries.find((e) => trackingIdKey(e.trackingId) === key);
+      if (!entry) {
+        continue;
+      }
+
+      // Only the ID changes, the rest of the header is kept as is
+      const target = day.entries.find(
+        (e) => e !== entry && trackingIdKey(e.trackingId) === trackingIdKey(to),
+      );
+      // Splice by position: the new ID is not a replacement pattern
+      const at = entry.header.indexOf(entry.trackingId);
+      entry.header =
+        entry.header.slice(0, at) +
+        to +
+        entry.header.slice(at + entry.trackingId.length);
+      entry.trackingId = to;
+      entry.dirty = true;
+      if (target) {
+        day.entries.splice(day.entries.indexOf(entry), 1);
+        addEntry(day, entry);
+      }
+      dates.push(day.date.replace(/\//g, '-'));
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Remove work items (and their nested lines) from a day's entry; items
+ * match with or without their `[time]`. The entry is removed once it has
+ * nothing left, then the day and week if they end up empty. Returns the
+ * removed items.
+ */
+function removeWorkItems(doc, date, trackingId, workItems) {
+  const day = findDay(doc, date);
+  const key = trackingIdKey(trackingId);
+  const entry =
+    day && day.entries.find((e) => trackingIdKey(e.trackingId) === key);
+  if (!entry) {
+    return [];
+  }
+
+  const remove = new Set(workItems);
+  const removed = [];
+  const lines = [];
+  let removedIndent = null;
+
+  for (const line of entry.lines) {
+    const indent = line.length - line.trimStart().length;
+    if (
+      removedIndent !== null &&
+      line.trim() !== '' &&
+      indent > removedIndent
+    ) {
+      continue;
+    }
+    removedIndent = null;
+
+    const match = line.match(WORK_ITEM);
+    if (
+      match &&
+      (remove.has(match[1].trim()) ||
+        remove.has(splitTimeAnnotation(match[1].trim()).text))
+    ) {
+      removed.push(match[1].trim());
+      removedIndent = indent;
+      continue;
+    }
+    lines.push(line);
+  }
+
+  if (removed.length === 0) {
+    return removed;
+  }
+
+  entry.lines = lines;
+  entry.dirty = true;
+
+  if (lines.every((line) => line.trim() === '')) {
+    day.entries.splice(day.entries.indexOf(entry), 1);
+    day.dirty = true;
+    pruneDay(doc, day);
+  }
+
+  return removed;
+}
+
+/**
+ * Update a "Last week:" / "This week:" list in a week section.
+ * Entries are merged into the existing list, or replace it with
+ * `options.replace`. Returns the resulting list and the added entries.
+ */
+function updateWeekList(week, label, entries, options = {}) {
+  const content = [...week.lines];
+  const isLabel = (name) => (line) =>
+    line.trim().toLowerCase() === `${name.toLowerCase()}:`;
+  let index = content.findIndex(isLabel(label));
+
+  if (index === -1) {
+    // Keep "Last week:" before "This week:"
+    const thisWeekIndex = /^last week$/i.test(label)
+      ? content.findIndex(isLabel('This week'))
+      : -1;
+
+    if (thisWeekIndex !== -1) {
+      content.splice(thisWeekIndex, 0, `${label}:`, '');
+      index = thisWeekIndex;
+    } else {
+      while (content.length > 0 && content[content.length - 1].trim() === '') {
+        content.pop();
+      }
+      content.push('', `${label}:`, '');
+      index = content.length - 2;
+    }
+  }
+
+  // Skip blank lines, then collect the existing list items
+  let end = index + 1;
+  while (end < content.length && content[end].trim() === '') {
+    end++;
+  }
+  const existing = [];
+  while (end < content.length && content[end].startsWith('- ')) {
+    existing.push(content[end]);
+    end++;
+  }
+
+  const items = options.replace
+    ? [...new Set(entries)]
+    : [...existing, ...entries.filter((entry) => !existing.includes(entry))];
+
+  const replacement = items.length > 0 ? ['', ...items] : [];
+  if (end >= content.length || content[end].trim() !== '') {
+    replacement.push('');
+  }
+  content.splice(index + 1, end - index - 1, ...replacement);
+
+  if (content.join('\n') !== week.lines.join('\n')) {
+    week.lines = content;
+    week.dirty = true;
+  }
+
+  return {
+    items,
+    added: items.filter((item) => !existing.includes(item)),
+  };
+}
+
+/**
+ * Get the monthly worklog file path, creating the logs directory if needed
+ */
+function getWorklogFile(month) {
+  const logsDir = path.join(getWorklogsPath(), 'logs');
+
+  if (!fs.existsSync(logsDir)) {
+    fs.mkdirSync(logsDir, { recursive: true });
+  }
+
+  return path.join(logsDir, `${month}.md`);
+}
+
+/**
+ * Load the worklog document for a month (YYYY-MM), or a new one if the
+ * file doesn't exist yet
+ */
+function loadWorklog(month) {
+  const file = getWorklogFile(month);
+  const doc = fs.existsSync(file)
+    ? parseWorklog(fs.readFileSync(file, 'utf-8'), { month })
+    : createWorklog(month);
+
+  return { file, doc };
+}
+
+/**
+ * Write a worklog document
+ */
+function saveWorklog(file, doc) {
+  fs.writeFileSync(file, serializeWorklog(doc), 'utf-8');
+}
+
+/**
+ * List the monthly worklog files ([{ month, file }]), oldest first
+ */
+function listWorklogFiles() {
+  const logsDir = path.join(getWorklogsPath(), 'logs');
+  if (!fs.existsSync(logsDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(logsDir)
+    .filter((name) => /^\d{4}-\d{2}\.md$/.test(name))
+    .sort()
+    .map((name) => ({
+      month: name.slice(0, 7),
+      file: path.join(logsDir, name),
+    }));
+}
+
+/**
+ * List the entries of every worklog within a date range (YYYY-MM-DD,
+ * inclusive, either bound optional), oldest first
+ */
+function listAllEntries(start = null, end = null) {
+  const entries = [];
+
+  for (const { month, file } of listWorklogFiles()) {
+    if (
+      (start && month < start.slice(0, 7)) ||
+      (end && month > end.slice(0, 7))
+    ) {
+      continue;
+    }
+
+    const doc = parseWorklog(fs.readFileSync(file, 'utf-8'), { month });
+    entries.push(
+      ...listEntries(doc).filter(
+        (entry) =>
+          (!start || entry.date >= start) && (!end || entry.date <= end),
+      ),
+    );
+  }
+
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    date: null,
+    trackingId: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--date' && i + 1 < argv.length) {
+      args.date = argv[++i];
+    } else if (arg === '--tracking-id' && i + 1 < argv.length) {
+      args.trackingId = argv[++i];
+    } else if (!arg.startsWith('--')) {
+      args.file = arg;
+    }
+  }
+
+  return args;
+}
+
+// Main
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.error(
+      'Usage: node worklog_document.cjs <worklog-file> [--date <YYYY-MM-DD>] [--tracking-id <ID>]',
+    );
+    process.exit(1);
+  }
+
+  try {
+    const doc = parseWorklog(fs.readFileSync(path.resolve(args.file), 'utf-8'));
+    let entries = args.trackingId
+      ? getEntriesForTrackingId(doc, args.trackingId)
+      : listEntries(doc);
+
+    if (args.date) {
+      const header = toDateHeader(args.date);
+      entries = entries.filter((entry) => toDateHeader(entry.date) === header);
+    }
+
+    console.log(JSON.stringify(entries, null, 2));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  parseWorklog,
+  serializeWorklog,
+  createWorklog,
+  listEntries,
+  getEntriesForDate,
+  getEntriesForTrackingId,
+  getWorkItems,
+  getEntryTime,
+  getDateWeek,
+  compareDates,
+  findWeek,
+  findDay,
+  insertWeek,
+  insertDay,
+  findOrCreateWeek,
+  findOrCreateDay,
+  upsertEntry,
+  addEntry,
+  removeEntry,
+  renameEntries,
+  removeWorkItems,
+  updateWeekList,
+  getWorklogFile,
+  loadWorklog,
+  saveWorklog,
+  listWorklogFiles,
+  listAllEntries,
+};
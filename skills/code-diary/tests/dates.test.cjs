@@ -0,0 +1,258 @@
+/**
+ * Tests for dates.cjs: "today", timestamps and weeks across DST changes,
+ * UTC offsets on both sides of UTC and the 2026/2027 year boundary
+ *
+ * Usage: node --test skills/code-diary/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+// Use built-in defaults, not the machine's config file
+process.env.CODE_DIARY_CONFIG = path.join(
+  os.tmpdir(),
+  'code-diary-tests-missing-config.json',
+);
+
+const {
+  today,
+  toDateString,
+  formatDateTime,
+  getWeek,
+  addDays,
+} = require('../scripts/dates.cjs');
+
+/**
+ * Run a function with `new Date()` frozen at an instant
+ */
+function atInstant(t, iso, fn) {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(iso) });
+  try {
+    return fn();
+  } finally {
+    t.mock.timers.reset();
+  }
+}
+
+/**
+ * Run a function with the process timezone set, restoring it afterwards
+ */
+function withProcessTimezone(tz, fn) {
+  const previous = process.env.TZ;
+  process.env.TZ = tz;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = previous;
+    }
+  }
+}
+
+test('today: the same instant is a different day east and west of UTC', (t) => {
+  atInstant(t, '2026-12-31T20:00:00Z', () => {
+    assert.equal(today('UTC'), '2026-12-31');
+    assert.equal(today('Asia/Tokyo'), '2027-01-01');
+    assert.equal(today('America/Los_Angeles'), '2026-12-31');
+  });
+
+  atInstant(t, '2026-12-31T10:30:00Z', () => {
+    assert.equal(today('Pacific/Kiritimati'), '2027-01-01'); // UTC+14
+    assert.equal(today('Pacific/Pago_Pago'), '2026-12-30'); // UTC-11
+  });
+});
+
+test('today: follows the local midnight across DST changes', (t) => {
+  // New York springs forward on 2026-03-08: midnight is still EST (-05:00)
+  atInstant(t, '2026-03-08T04:59:59Z', () => {
+    assert.equal(today('America/New_York'), '2026-03-07');
+  });
+  atInstant(t, '2026-03-08T05:00:00Z', () => {
+    assert.equal(today('America/New_York'), '2026-03-08');
+  });
+
+  // ...and falls back on 2026-11-01: midnight is still EDT (-04:00)
+  atInstant(t, '2026-11-01T03:59:59Z', () => {
+    assert.equal(today('America/New_York'), '2026-10-31');
+  });
+  atInstant(t, '2026-11-01T04:00:00Z', () => {
+    assert.equal(today('America/New_York'), '2026-11-01');
+  });
+});
+
+test('today: does not depend on the process timezone', (t) => {
+  atInstant(t, '2026-06-15T23:30:00Z', () => {
+    for (const tz of ['UTC', 'Asia/Taipei', 'America/Anchorage']) {
+      withProcessTimezone(tz, () => {
+        assert.equal(today('Europe/Berlin'), '2026-06-16');
+        assert.equal(today('America/Sao_Paulo'), '2026-06-15');
+      });
+    }
+  });
+});
+
+test('formatDateTime: offsets on both sides of UTC', () => {
+  const instant = new Date('2026-01-28T06:03:12Z');
+
+  assert.equal(formatDateTime(instant, 'UTC'), '2026-01-28T06:03:12+00:00');
+  assert.equal(
+    formatDateTime(instant, 'Asia/Taipei'),
+    '2026-01-28T14:03:12+08:00',
+  );
+  assert.equal(
+    formatDateTime(instant, 'Asia/Kolkata'),
+    '2026-01-28T11:33:12+05:30',
+  );
+  assert.equal(
+    formatDateTime(instant, 'Asia/Kathmandu'),
+    '2026-01-28T11:48:12+05:45',
+  );
+  assert.equal(
+    formatDateTime(instant, 'America/St_Johns'),
+    '2026-01-28T02:33:12-03:30',
+  );
+  assert.equal(
+    formatDateTime(instant, 'Pacific/Pago_Pago'),
+    '2026-01-27T19:03:12-11:00',
+  );
+  assert.equal(
+    formatDateTime(instant, 'Pacific/Kiritimati'),
+    '2026-01-28T20:03:12+14:00',
+  );
+});
+
+test('formatDateTime: offset changes across DST', () => {
+  const newYork = 'America/New_York';
+  assert.equal(
+    formatDateTime(new Date('2026-03-08T06:59:59Z'), newYork),
+    '2026-03-08T01:59:59-05:00',
+  );
+  assert.equal(
+    formatDateTime(new Date('2026-03-08T07:00:00Z'), newYork),
+    '2026-03-08T03:00:00-04:00',
+  );
+
+  // The repeated hour on 2026-11-01 is told apart by its offset
+  assert.equal(
+    formatDateTime(new Date('2026-11-01T05:30:00Z'), newYork),
+    '2026-11-01T01:30:00-04:00',
+  );
+  assert.equal(
+    formatDateTime(new Date('2026-11-01T06:30:00Z'), newYork),
+    '2026-11-01T01:30:00-05:00',
+  );
+
+  const berlin = 'Europe/Berlin';
+  assert.equal(
+    formatDateTime(new Date('2026-03-29T00:59:59Z'), berlin),
+    '2026-03-29T01:59:59+01:00',
+  );
+  assert.equal(
+    formatDateTime(new Date('2026-03-29T01:00:00Z'), berlin),
+    '2026-03-29T03:00:00+02:00',
+  );
+
+  // Southern hemisphere: Sydney leaves DST on 2026-04-05
+  const sydney = 'Australia/Sydney';
+  assert.equal(
+    formatDateTime(new Date('2026-04-04T15:30:00Z'), sydney),
+    '2026-04-05T02:30:00+11:00',
+  );
+  assert.equal(
+    formatDateTime(new Date('2026-04-04T16:30:00Z'), sydney),
+    '2026-04-05T02:30:00+10:00',
+  );
+});
+
+test('formatDateTime: the date part matches toDateString', () => {
+  const instant = new Date('2026-12-31T23:30:00Z');
+  for (const tz of ['Pacific/Pago_Pago', 'UTC', 'Asia/Tokyo']) {
+    assert.equal(
+      formatDateTime(instant, tz).slice(0, 10),
+      toDateString(instant, tz),
+    );
+  }
+});
+
+/**
+ * Get "YYYY-Wnn start..end" for compact week assertions
+ */
+function weekOf(date, weekStart) {
+  const week = getWeek(date, weekStart);
+  return `${week.weekYear}-W${String(week.week).padStart(2, '0')} ${week.start}..${week.end}`;
+}
+
+test('getWeek: Monday weeks from 2026-W53 to 2027-W01', () => {
+  const cases = {
+    '2026-12-27': '2026-W52 2026-12-21..2026-12-27',
+    '2026-12-28': '2026-W53 2026-12-28..2027-01-03',
+    '2026-12-31': '2026-W53 2026-12-28..2027-01-03',
+    '2027-01-01': '2026-W53 2026-12-28..2027-01-03',
+    '2027-01-03': '2026-W53 2026-12-28..2027-01-03',
+    '2027-01-04': '2027-W01 2027-01-04..2027-01-10',
+  };
+
+  for (const [date, expected] of Object.entries(cases)) {
+    assert.equal(weekOf(date, 'monday'), expected, date);
+  }
+});
+
+test('getWeek: Sunday weeks across the 2026/2027 year boundary', () => {
+  // Sunday weeks put January 1st in week 1, so 2026 has no week 53
+  const cases = {
+    '2026-12-26': '2026-W52 2026-12-20..2026-12-26',
+    '2026-12-27': '2027-W01 2026-12-27..2027-01-02',
+    '2026-12-31': '2027-W01 2026-12-27..2027-01-02',
+    '2027-01-02': '2027-W01 2026-12-27..2027-01-02',
+    '2027-01-03': '2027-W02 2027-01-03..2027-01-09',
+  };
+
+  for (const [date, expected] of Object.entries(cases)) {
+    assert.equal(weekOf(date, 'sunday'), expected, date);
+  }
+});
+
+test('getWeek: Sunday weeks from W53 to W01 (2022/2023)', () => {
+  assert.equal(
+    weekOf('2022-12-31', 'sunday'),
+    '2022-W53 2022-12-25..2022-12-31',
+  );
+  assert.equal(
+    weekOf('2023-01-01', 'sunday'),
+    '2023-W01 2023-01-01..2023-01-07',
+  );
+});
+
+test('getWeek: weeks spanning DST changes keep 7 calendar days', () => {
+  // 2026-03-08 (US) and 2026-03-29 (EU) spring forward; 2026-11-01 falls back
+  for (const tz of ['UTC', 'America/New_York', 'Europe/Berlin', 'Asia/Tokyo']) {
+    withProcessTimezone(tz, () => {
+      assert.equal(
+        weekOf('2026-03-08', 'monday'),
+        '2026-W10 2026-03-02..2026-03-08',
+        tz,
+      );
+      assert.equal(
+        weekOf('2026-03-08', 'sunday'),
+        '2026-W11 2026-03-08..2026-03-14',
+        tz,
+      );
+      assert.equal(
+        weekOf('2026-03-29', 'monday'),
+        '2026-W13 2026-03-23..2026-03-29',
+        tz,
+      );
+      assert.equal(
+        weekOf('2026-11-01', 'monday'),
+        '2026-W44 2026-10-26..2026-11-01',
+        tz,
+      );
+      assert.equal(addDays('2026-03-07', 1), '2026-03-08', tz);
+      assert.equal(addDays('2026-11-01', 1), '2026-11-02', tz);
+    });
+  }
+});
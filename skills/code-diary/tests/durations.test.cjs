@@ -0,0 +1,75 @@
+/**
+ * Tests for durations.cjs: parsing and formatting durations and the
+ * `[1h30m]` annotations of worklog lines
+ *
+ * Usage: node --test skills/code-diary/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseDuration,
+  formatDuration,
+  splitTimeAnnotation,
+  withTimeAnnotation,
+} = require('../scripts/durations.cjs');
+
+test('parseDuration: hours, minutes and both', () => {
+  const cases = {
+    '1h30m': 90,
+    '2h': 120,
+    '45m': 45,
+    '1.5h': 90,
+    '1h 30m': 90,
+    ' 0.25h ': 15,
+    '1H30M': 90,
+    '90m': 90,
+  };
+
+  for (const [input, minutes] of Object.entries(cases)) {
+    assert.equal(parseDuration(input), minutes, input);
+  }
+});
+
+test('parseDuration: rejects anything else', () => {
+  for (const input of ['', 'h', '1', '30 minutes', '1h-30m', '-1h', 'm1']) {
+    assert.throws(() => parseDuration(input), /Invalid duration/, input);
+  }
+});
+
+test('formatDuration: the shortest form', () => {
+  assert.equal(formatDuration(45), '45m');
+  assert.equal(formatDuration(60), '1h');
+  assert.equal(formatDuration(90), '1h30m');
+  assert.equal(formatDuration(600), '10h');
+});
+
+test('splitTimeAnnotation: only a trailing duration is an annotation', () => {
+  assert.deepEqual(splitTimeAnnotation('Form layout [1h30m]'), {
+    text: 'Form layout',
+    minutes: 90,
+  });
+  assert.deepEqual(splitTimeAnnotation('Form layout'), {
+    text: 'Form layout',
+    minutes: null,
+  });
+  assert.deepEqual(splitTimeAnnotation('Bump deps [skip ci]'), {
+    text: 'Bump deps [skip ci]',
+    minutes: null,
+  });
+  assert.deepEqual(splitTimeAnnotation('[2h] not trailing'), {
+    text: '[2h] not trailing',
+    minutes: null,
+  });
+});
+
+test('withTimeAnnotation: round-trips with splitTimeAnnotation', () => {
+  assert.equal(withTimeAnnotation('Review', 30), 'Review [30m]');
+  assert.equal(withTimeAnnotation('Review', null), 'Review');
+  assert.equal(withTimeAnnotation('Review', undefined), 'Review');
+  assert.deepEqual(splitTimeAnnotation(withTimeAnnotation('Review', 135)), {
+    text: 'Review',
+    minutes: 135,
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Tests for get_week_info.cjs: Date and YYYY-MM-DD inputs give the same week
+ *
+ * Usage: node --test skills/code-diary/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+// Use built-in defaults, not the machine's config file
+process.env.CODE_DIARY_CONFIG = path.join(
+  os.tmpdir(),
+  'code-diary-tests-missing-config.json',
+);
+
+const {
+  getWeekNumber,
+  getWeekRange,
+  getWeekInfo,
+} = require('../scripts/get_week_info.cjs');
+
+test('getWeekRange: a Date and its YYYY-MM-DD give the same week', () => {
+  const date = new Date('2027-01-01T12:00:00Z');
+
+  assert.deepEqual(getWeekRange(date, 'monday'), {
+    start: '2026-12-28',
+    end: '2027-01-03',
+  });
+  assert.deepEqual(
+    getWeekRange(date, 'sunday'),
+    getWeekRange('2027-01-01', 'sunday'),
+  );
+});
+
+test('getWeekNumber: agrees with getWeekRange and getWeekInfo', () => {
+  const date = new Date('2027-01-01T12:00:00Z');
+
+  assert.equal(getWeekNumber(date, 'monday'), 53);
+  assert.equal(getWeekNumber('2027-01-01', 'sunday'), 1);
+  assert.equal(
+    getWeekInfo('2027-01-01', { weekStart: 'monday' }).weekKey,
+    '2026-W53',
+  );
+});
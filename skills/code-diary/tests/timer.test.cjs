@@ -0,0 +1,121 @@
+/**
+ * Tests for timer.cjs: starting and stopping a timer logs its time to the
+ * worklog, and the totals add up the logged time
+ *
+ * Usage: node --test skills/code-diary/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Worklogs in a temporary directory, with the built-in config defaults
+const worklogsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'code-diary-'));
+process.env.CODE_DIARY_PATH = worklogsPath;
+process.env.CODE_DIARY_CONFIG = path.join(worklogsPath, 'config.json');
+
+const {
+  getTimerFile,
+  loadTimer,
+  startTimer,
+  stopTimer,
+  getTimeTotals,
+} = require('../scripts/timer.cjs');
+
+test.after(() => {
+  fs.rmSync(worklogsPath, { recursive: true, force: true });
+});
+
+/**
+ * Read the worklog of a month
+ */
+function readWorklog(month) {
+  return fs.readFileSync(
+    path.join(worklogsPath, 'logs', `${month}.md`),
+    'utf-8',
+  );
+}
+
+test('startTimer/stopTimer: the elapsed time goes to the start day', () => {
+  // Started before midnight UTC, stopped after it
+  const started = new Date('2026-10-14T23:30:00Z');
+  const timer = startTimer('PROJ-7', {
+    summary: 'Timer task',
+    now: started,
+    tz: 'UTC',
+  });
+
+  assert.equal(timer.date, '2026-10-14');
+  assert.equal(timer.started, '2026-10-14T23:30:00+00:00');
+  assert.deepEqual(loadTimer(), timer);
+  assert.throws(
+    () => startTimer('PROJ-8', { summary: 'Other', tz: 'UTC' }),
+    /already running for PROJ-7/,
+  );
+
+  const result = stopTimer({
+    now: new Date('2026-10-15T01:00:00Z'),
+    workItems: ['Wrote the timer'],
+  });
+
+  assert.equal(result.minutes, 90);
+  assert.equal(result.time, '1h30m');
+  assert.equal(loadTimer(), null);
+  assert.equal(fs.existsSync(getTimerFile()), false);
+  assert.match(
+    readWorklog('2026-10'),
+    /### 2026\/10\/14\n\n- PROJ-7: Timer task \[1h30m\]\n {2}- Wrote the timer\n/,
+  );
+});
+
+test('stopTimer: times on the same entry add up', () => {
+  const start = Date.parse('2026-10-16T09:00:00Z');
+  for (const minutes of [20, 25]) {
+    startTimer('PROJ-9', {
+      summary: 'Twice',
+      now: new Date(start),
+      tz: 'UTC',
+    });
+    stopTimer({ now: new Date(start + minutes * 60000) });
+  }
+
+  assert.match(readWorklog('2026-10'), /- PROJ-9: Twice \[45m\]\n/);
+});
+
+test('stopTimer: a timer shorter than a minute counts as one', () => {
+  const now = new Date('2026-10-16T12:00:00Z');
+  startTimer('PROJ-10', { summary: 'Quick', now, tz: 'UTC' });
+  assert.equal(stopTimer({ now }).minutes, 1);
+});
+
+test('getTimeTotals: per day, week and tracking ID', () => {
+  const totals = getTimeTotals('2026-10-14', '2026-10-16');
+
+  assert.deepEqual(totals.total, { minutes: 136, time: '2h16m' });
+  assert.deepEqual(totals.days.map(({ date, time }) => [date, time]).sort(), [
+    ['2026-10-14', '1h30m'],
+    ['2026-10-16', '46m'],
+  ]);
+  assert.deepEqual(
+    totals.trackingIds.map(({ trackingId, time }) => [trackingId, time]),
+    [
+      ['PROJ-7', '1h30m'],
+      ['PROJ-9', '45m'],
+      ['PROJ-10', '1m'],
+    ],
+  );
+  assert.deepEqual(getTimeTotals('2026-10-15', '2026-10-15').total, {
+    minutes: 0,
+    time: '0m',
+  });
+});
+
+test('startTimer/stopTimer: invalid input', () => {
+  assert.throws(() => stopTimer(), /No timer is running/);
+  assert.throws(
+    () => startTimer('Covid', { summary: 'x' }),
+    /Invalid tracking ID "Covid"/,
+  );
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for tracking_id.cjs: the ID forms, issue tracker restrictions and
+ * IDs found in free text such as commit messages
+ *
+ * Usage: node --test skills/code-diary/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isTrackingId,
+  matchTrackingId,
+  findTrackingIds,
+  getTrackingIdType,
+  getTrackingIdUrl,
+  trackingIdKey,
+  toFileId,
+} = require('../scripts/tracking_id.cjs');
+
+test('isTrackingId: keys, GitHub issues and date-based IDs', () => {
+  for (const id of ['PROJ-123', 'ENG-12a', 'abc-123', '#123', 'gh-45']) {
+    assert.equal(isTrackingId(id), true, id);
+  }
+  assert.equal(isTrackingId('20260128'), true);
+
+  for (const id of ['PROJ', '123', 'PROJ-', '-12', '20261332', 'PROJ-12 x']) {
+    assert.equal(isTrackingId(id), false, id);
+  }
+});
+
+test('isTrackingId: an issue tracker only accepts its own form', () => {
+  const github = { type: 'github' };
+  assert.equal(isTrackingId('#12', github), true);
+  assert.equal(isTrackingId('PROJ-12', github), false);
+
+  const jira = { type: 'jira', projectPrefix: 'PROJ' };
+  assert.equal(isTrackingId('PROJ-12', jira), true);
+  assert.equal(isTrackingId('proj-12', jira), true);
+  assert.equal(isTrackingId('ENG-12', jira), false);
+  assert.equal(isTrackingId('#12', jira), false);
+
+  // Date-based IDs are always accepted
+  assert.equal(isTrackingId('20260128', jira), true);
+});
+
+test('matchTrackingId: the ID at the start of a line and the rest', () => {
+  assert.deepEqual(matchTrackingId('ENG-12a Fix login'), {
+    trackingId: 'ENG-12a',
+    rest: 'Fix login',
+  });
+  assert.deepEqual(matchTrackingId('abc-123 lower-case key'), {
+    trackingId: 'abc-123',
+    rest: 'lower-case key',
+  });
+  assert.deepEqual(matchTrackingId('  #45  '), { trackingId: '#45', rest: '' });
+  assert.equal(matchTrackingId('Fix PROJ-12'), null);
+  assert.equal(matchTrackingId('PROJ-12: fix'), null);
+});
+
+test('findTrackingIds: IDs in a commit message, once each', () => {
+  assert.deepEqual(
+    findTrackingIds('PROJ-12: fix login (#45), see proj-12 and gh-45'),
+    ['PROJ-12', '#45'],
+  );
+  assert.deepEqual(findTrackingIds('[ENG-3] merge feat/PROJ-12_slug'), [
+    'ENG-3',
+  ]);
+});
+
+test('findTrackingIds: words that look like keys are not IDs', () => {
+  assert.deepEqual(
+    findTrackingIds('Fix Covid-19 dashboard and the utf-8 decoder'),
+    [],
+  );
+  assert.deepEqual(findTrackingIds('COVID-19 stats for PROJ-4'), [
+    'COVID-19',
+    'PROJ-4',
+  ]);
+
+  // A lower-case configured prefix is still found
+  assert.deepEqual(
+    findTrackingIds('web-9 and Web-3', { type: 'jira', projectPrefix: 'web' }),
+    ['web-9'],
+  );
+});
+
+test('trackingIdKey and toFileId: the same ticket in every form', () => {
+  assert.equal(toFileId('#45'), 'gh-45');
+  assert.equal(toFileId('PROJ-12'), 'PROJ-12');
+  assert.equal(trackingIdKey('#45'), trackingIdKey('gh-45'));
+  assert.equal(trackingIdKey('ENG-12a'), trackingIdKey('eng-12A'));
+  assert.notEqual(trackingIdKey('PROJ-1'), trackingIdKey('PROJ-12'));
+});
+
+test('getTrackingIdType and getTrackingIdUrl', () => {
+  assert.equal(getTrackingIdType('#45'), 'github');
+  assert.equal(getTrackingIdType('GH-45'), 'github');
+  assert.equal(getTrackingIdType('20260128'), 'date');
+  assert.equal(getTrackingIdType('PROJ-12'), 'key');
+
+  const jira = { type: 'jira', baseUrl: 'https://acme.atlassian.net/' };
+  assert.equal(
+    getTrackingIdUrl('PROJ-12', jira),
+    'https://acme.atlassian.net/browse/PROJ-12',
+  );
+  assert.equal(
+    getTrackingIdUrl('#45', {
+      type: 'github',
+      baseUrl: 'https://github.com/acme/web',
+    }),
+    'https://github.com/acme/web/issues/45',
+  );
+  assert.equal(
+    getTrackingIdUrl('ENG-3', {
+      type: 'linear',
+      baseUrl: 'https://linear.app/acme',
+    }),
+    'https://linear.app/acme/issue/ENG-3',
+  );
+  assert.equal(getTrackingIdUrl('20260128', jira), null);
+  assert.equal(getTrackingIdUrl('PROJ-12', { type: 'jira' }), null);
+});
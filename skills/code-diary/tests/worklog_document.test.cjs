@@ -0,0 +1,217 @@
+/**
+ * Tests for worklog_document.cjs: lossless round trips, entry parsing,
+ * legacy week headers and edits through the document tree
+ *
+ * Usage: node --test skills/code-diary/tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+
+// Use built-in defaults, not the machine's config file
+process.env.CODE_DIARY_CONFIG = path.join(
+  os.tmpdir(),
+  'code-diary-tests-missing-config.json',
+);
+
+const {
+  parseWorklog,
+  serializeWorklog,
+  createWorklog,
+  listEntries,
+  findOrCreateWeek,
+  findOrCreateDay,
+  upsertEntry,
+  removeEntry,
+  renameEntries,
+} = require('../scripts/worklog_document.cjs');
+const { getWeekInfo } = require('../scripts/get_week_info.cjs');
+
+const WORKLOG = [
+  '# 2026/10 Contribution log',
+  '',
+  'Free text before the first week.',
+  '',
+  '## 2026 Week 42',
+  '',
+  'Last week:',
+  '',
+  'This week:',
+  '',
+  '### 2026/10/16',
+  '',
+  '- PROJ-1: Login page [30m]',
+  '  - Form layout [1h]',
+  '      * nested note',
+  '  - Validation',
+  '',
+  '- #45: Redirect loop',
+  '  - Reproduced',
+  '',
+  '### 2026/10/15',
+  '',
+  '- abc-123: Lower-case key',
+  '  - Spike',
+  '',
+].join('\n');
+
+test('parseWorklog/serializeWorklog: unchanged documents round-trip', () => {
+  const samples = [
+    WORKLOG,
+    WORKLOG.replace(/\n/g, '\r\n'),
+    `\uFEFF${WORKLOG}`,
+    WORKLOG.trimEnd(),
+    '---\nmonth: 2026-10\n---\n\n## Week 42\n  odd   spacing  \n\n\n',
+    '',
+  ];
+
+  for (const sample of samples) {
+    assert.equal(serializeWorklog(parseWorklog(sample)), sample);
+  }
+});
+
+test('listEntries: dates, weeks, work items and time', () => {
+  const entries = listEntries(parseWorklog(WORKLOG));
+
+  assert.deepEqual(
+    entries.map(({ date, weekKey, trackingId, summary }) => ({
+      date,
+      weekKey,
+      trackingId,
+      summary,
+    })),
+    [
+      {
+        date: '2026-10-16',
+        weekKey: '2026-W42',
+        trackingId: 'PROJ-1',
+        summary: 'Login page',
+      },
+      {
+        date: '2026-10-16',
+        weekKey: '2026-W42',
+        trackingId: '#45',
+        summary: 'Redirect loop',
+      },
+      {
+        date: '2026-10-15',
+        weekKey: '2026-W42',
+        trackingId: 'abc-123',
+        summary: 'Lower-case key',
+      },
+    ],
+  );
+  assert.deepEqual(entries[0].workItems, ['Form layout [1h]', 'Validation']);
+  assert.equal(entries[0].time, 90);
+  assert.equal(entries[1].time, null);
+});
+
+test('parseWorklog: legacy week headers get their year', () => {
+  const january = parseWorklog('# 2027/01 Contribution log\n\n## Week 53\n');
+  assert.equal(january.month, '2027-01');
+  assert.equal(january.weeks[0].weekKey, '2026-W53');
+
+  const december = parseWorklog('# 2026/12 Contribution log\n\n## Week 1\n');
+  assert.equal(december.weeks[0].weekKey, '2027-W01');
+
+  // A week with days takes its year from them
+  const withDays = parseWorklog(
+    '# 2026/12 Contribution log\n\n## Week 53\n\n### 2027/01/01\n',
+    { month: '2027-01' },
+  );
+  assert.equal(withDays.weeks[0].weekKey, '2026-W53');
+});
+
+test('upsertEntry: new entries are added without touching other lines', () => {
+  const doc = parseWorklog(WORKLOG);
+  const week = findOrCreateWeek(
+    doc,
+    getWeekInfo('2026-10-17', { weekStart: 'monday' }),
+  );
+  const day = findOrCreateDay(week, '2026-10-17');
+  upsertEntry(day, 'PROJ-2', 'Sign-up', ['Wireframes'], { time: 45 });
+
+  const output = serializeWorklog(doc);
+  assert.ok(
+    output.includes(
+      'This week:\n\n### 2026/10/17\n\n- PROJ-2: Sign-up [45m]\n  - Wireframes\n\n### 2026/10/16\n',
+    ),
+    output,
+  );
+  assert.ok(output.includes('      * nested note\n  - Validation\n'));
+});
+
+test('upsertEntry: times add up and items are kept verbatim', () => {
+  const doc = parseWorklog(WORKLOG);
+  const day = doc.weeks[0].days[0];
+
+  const { added } = upsertEntry(
+    day,
+    'proj-1',
+    'Login page',
+    ['Form layout [30m]', 'Validation', 'Use $& and $1 in copy'],
+    { time: 15 },
+  );
+
+  assert.deepEqual(added, ['Use $& and $1 in copy']);
+  const entry = listEntries(doc)[0];
+  assert.deepEqual(entry.workItems, [
+    'Form layout [1h30m]',
+    'Validation',
+    'Use $& and $1 in copy',
+  ]);
+  assert.equal(entry.time, 135);
+  assert.ok(serializeWorklog(doc).includes('- PROJ-1: Login page [45m]\n'));
+});
+
+test('removeEntry: empty days and weeks go with their last entry', () => {
+  const doc = parseWorklog(WORKLOG);
+
+  assert.equal(removeEntry(doc, '2026-10-15', 'ABC-123').trackingId, 'abc-123');
+  assert.equal(doc.weeks[0].days.length, 1);
+  assert.equal(removeEntry(doc, '2026-10-15', 'abc-123'), null);
+
+  removeEntry(doc, '2026-10-16', 'PROJ-1');
+  removeEntry(doc, '2026-10-16', 'gh-45');
+  assert.equal(doc.weeks.length, 0);
+  assert.equal(
+    serializeWorklog(doc),
+    '# 2026/10 Contribution log\n\nFree text before the first week.\n',
+  );
+});
+
+test('renameEntries: renaming onto a logged ID merges the entries', () => {
+  const doc = parseWorklog(WORKLOG);
+
+  assert.deepEqual(renameEntries(doc, '2026-10-16', '#45', 'PROJ-1'), [
+    '2026-10-16',
+  ]);
+  const entries = listEntries(doc);
+  assert.deepEqual(
+    entries.map((entry) => entry.trackingId),
+    ['PROJ-1', 'abc-123'],
+  );
+  assert.deepEqual(entries[0].workItems, [
+    'Form layout [1h]',
+    'Validation',
+    'Reproduced',
+  ]);
+});
+
+test('renameEntries: the new ID is written verbatim', () => {
+  const doc = parseWorklog(WORKLOG);
+
+  renameEntries(doc, null, 'abc-123', '$&-1');
+  assert.equal(
+    doc.weeks[0].days[1].entries[0].header,
+    '- $&-1: Lower-case key',
+  );
+});
+
+test('createWorklog: a new month starts with its title', () => {
+  const doc = createWorklog('2026-11');
+  assert.equal(doc.month, '2026-11');
+  assert.equal(serializeWorklog(doc), '# 2026/11 Contribution log\n');
+});
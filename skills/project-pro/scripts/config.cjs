@@ -2,19 +2,24 @@
 
 /**
  * Project-pro configuration management
- * Reads configuration from environment variables (shared with code-diary)
+ * Uses the worklogs path of code-diary's config.cjs (environment variable,
+ * then `worklogsPath` in its config file, then the default), which must be
+ * installed next to this skill.
  */
 
 const path = require('path');
-
-const ENV_VAR = 'CODE_DIARY_PATH';
-const DEFAULT_PATH = path.join(process.env.HOME, 'workspace/worklogs');
+const {
+  getWorklogsPath,
+  isConfigured,
+  ENV_VAR,
+  DEFAULT_PATH,
+} = require('../../code-diary/scripts/config.cjs');
 
 /**
- * Get the base path from environment or default
+ * Get the base path (the code-diary worklogs path)
  */
 function getBasePath() {
-  return process.env[ENV_VAR] || DEFAULT_PATH;
+  return getWorklogsPath();
 }
 
 /**
@@ -24,13 +29,6 @@ function getProjectKnowledgePath(projectName) {
   return path.join(getBasePath(), projectName, 'knowledge');
 }
 
-/**
- * Check if environment variable is configured
- */
-function isConfigured() {
-  return !!process.env[ENV_VAR];
-}
-
 module.exports = {
   getBasePath,
   getProjectKnowledgePath,